@@ -8,7 +8,8 @@
 const routes = {
   '/': 'pages/start.html',
   '/upload': 'pages/reconciliation.html',
-  '/cats-edits': 'pages/cats-edits.html'
+  '/cats-edits': 'pages/cats-edits.html',
+  '/settings': 'pages/settings.html'
 };
 
 function loadRoute() {
@@ -20,6 +21,7 @@ function loadRoute() {
     if (path === '/') initStartPage();
     if (path === '/upload') initReconciliationPage();
     if (path === '/cats-edits') initCatsEditsPage();
+    if (path === '/settings') initSettingsPage();
   }).catch(err => {
     document.getElementById('app').innerHTML = '<p>Error loading page.</p>';
     console.error(err);
@@ -38,13 +40,37 @@ let catsEditsData = null; // generated cats edits
 let leaveCodeWhitelist = null; // Set of strings
 // Lookup map built from the raw DRMIS sheet rows: key = YYYY-MM-DD|PersNo -> array of entries
 let drmisLookup = new Map();
+// Sheets of the most recently uploaded workbook per source, as returned by describeWorkbookSheets()
+let sourceSheets = { drmis: null, oracle: null };
+// Oracle sources for a batch run (one per uploaded Oracle file): [{ name, sheetInfo, rows, persNo }], where
+// persNo is the employee chosen for the source on the Reconcile page ('' = match automatically).
+// The active source is the one the sheet picker, preview and column mapping act on; oracleFileData mirrors its rows.
+let oracleSources = [];
+let activeOracleSource = 0;
+// Pers Nos of the loaded DRMIS rows (see drmisPersNosOf), offered for each Oracle source of a batch run
+let drmisPersNos = [];
+// Rows dropped by the last extractDrmisData / extractOracleData call (see excludeRow):
+// [{ index (position in the extracted rows), date, code, description, hours, kind, ruleId, reason }]
+let extractionExclusions = { drmis: [], oracle: [] };
+// Date format of the last extractDrmisData / extractOracleData call (see detectDateFormat), plus the format used,
+// whether it was chosen by the user and how many date cells could not be read
+let extractionDateFormats = { drmis: null, oracle: null };
+// Hours column of the last extractDrmisData / extractOracleData call: { unit, how, issues }, where issues are the
+// cells readHoursText could not interpret: [{ index (position in the extracted rows), value, date, code }]
+let extractionHours = { drmis: null, oracle: null };
+// Leave code descriptions read from the uploaded files (DRMIS A/A type text, Oracle description): code -> text.
+// Used for codes that are not in the leave code catalogue; kept with the session state.
+let sourceLeaveDescriptions = {};
+// Warnings raised while extracting Oracle rows: From/To range expansion and unmapped leave codes (rebuilt on every extractOracleData call)
+let oracleRangeWarnings = [];
 
 function saveStateToSession() {
   const state = {
     drmisLoaded: !!drmisFileData,
     oracleLoaded: !!oracleFileData,
     resultData: resultData,
-    catsEditsData: catsEditsData
+    catsEditsData: catsEditsData,
+    leaveDescriptions: sourceLeaveDescriptions
   };
   sessionStorage.setItem('leave_reconcile_state', JSON.stringify(state));
 }
@@ -56,32 +82,26 @@ function loadStateFromSession() {
     const s = JSON.parse(raw);
     if (s && s.resultData) resultData = s.resultData;
     if (s && s.catsEditsData) catsEditsData = s.catsEditsData;
+    if (s && s.leaveDescriptions) sourceLeaveDescriptions = s.leaveDescriptions;
   } catch (e) {
     console.warn('Failed to parse session state', e);
   }
 }
 
 /* -------------------- Utilities: reading Excel and parsing -------------------- */
+// Read every sheet of a workbook into a list of { name, rows } where rows is a 2D array of typed cell values
+// (see cellValue), with date cells read in the workbook's own date system.
 function readExcelFile(file, type) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
     reader.onload = function(e) {
       try {
         const data = new Uint8Array(e.target.result);
-        const workbook = XLSX.read(data, {type: 'array'});
-        const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
-        const range = firstSheet['!ref'] ? XLSX.utils.decode_range(firstSheet['!ref']) : {s:{r:0,c:0},e:{r:0,c:0}};
-        const jsonData = [];
-        for (let R = range.s.r; R <= range.e.r; ++R) {
-            const row = [];
-            for (let C = range.s.c; C <= range.e.c; ++C) {
-                const cellAddress = XLSX.utils.encode_cell({r: R, c: C});
-                const cell = firstSheet[cellAddress];
-                row.push(cell ? cell.v : null);
-            }
-            jsonData.push(row);
-        }
-        resolve(jsonData);
+        // cellNF keeps each cell's number format (z), which tells date and time cells from plain numbers
+        const workbook = XLSX.read(data, {type: 'array', cellNF: true});
+        const date1904 = isDate1904Workbook(workbook);
+        const sheets = workbook.SheetNames.map(name => ({ name: name, rows: sheetToRows(workbook.Sheets[name], date1904) }));
+        resolve(sheets);
       } catch (err) {
         reject(err);
       }
@@ -91,40 +111,307 @@ function readExcelFile(file, type) {
   });
 }
 
-function sheetRowsToObjects(rows) {
-  if (!rows || rows.length === 0) return { headers: [], rows: [] };
-  // Robust header detection:
-  // Some exported sheets include top metadata rows, blank columns, or title rows before the real header.
-  // Strategy: examine the first N rows, score each row by number of non-empty cells and presence of header keywords,
-  // and pick the best candidate as the header row. Then trim leading/trailing mostly-empty columns.
+// Workbooks saved with the 1904 date system (common from Mac Excel) count date serials from 1904-01-01
+function isDate1904Workbook(workbook) {
+  return !!(workbook && workbook.Workbook && workbook.Workbook.WBProps && workbook.Workbook.WBProps.date1904);
+}
+
+// Number format showing only a time or a duration (h:mm, [h]:mm:ss, h:mm AM/PM): no year or day part once
+// quoted text and bracketed colour/locale codes are removed
+function isTimeOnlyFormat(format) {
+  const f = String(format || '').replace(/"[^"]*"/g, '').replace(/\[(?![hms]+\])[^\]]*\]/gi, '');
+  return /[hs]/i.test(f) && !/[yd]/i.test(f);
+}
+
+// Typed value of a SheetJS cell from its type (t) and number format (z). Date-formatted numbers become
+// local-midnight Dates of their calendar day in the workbook's date system, time-only formats become 'h:mm'
+// text (read by readHoursText), error cells keep their displayed text (w) and stub cells (z) are empty.
+// Numbers, text and booleans are kept as they are.
+function cellValue(cell, date1904) {
+  if (!cell) return null;
+  if (cell.t === 'z') return null;
+  if (cell.t === 'e') return cell.w || null;
+  if (cell.t === 'd') return cell.v instanceof Date ? calendarDateToLocal(toCalendarDate(cell.v)) : null;
+  if (cell.t === 'n' && typeof cell.v === 'number' && cell.z && XLSX.SSF.is_date(cell.z)) {
+    if (isTimeOnlyFormat(cell.z)) {
+      const minutes = Math.round(Math.abs(cell.v) * 24 * 60);
+      return `${cell.v < 0 ? '-' : ''}${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+    const parts = XLSX.SSF.parse_date_code(cell.v, { date1904: !!date1904 });
+    const cd = parts ? calendarDate(parts.y, parts.m, parts.d) : null;
+    return cd ? calendarDateToLocal(cd) : cell.v;
+  }
+  return cell.v === undefined ? null : cell.v;
+}
+
+function sheetToRows(sheet, date1904) {
+  const range = sheet && sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']) : {s:{r:0,c:0},e:{r:0,c:0}};
+  const jsonData = [];
+  for (let R = range.s.r; R <= range.e.r; ++R) {
+      const row = [];
+      for (let C = range.s.c; C <= range.e.c; ++C) {
+          const cellAddress = XLSX.utils.encode_cell({r: R, c: C});
+          const cell = sheet ? sheet[cellAddress] : null;
+          row.push(cellValue(cell, date1904));
+      }
+      jsonData.push(row);
+  }
+  // the sheet's used range need not start at A1; keep its top-left cell so row and column labels match the sheet
+  jsonData.origin = { row: range.s.r, col: range.s.c };
+  return jsonData;
+}
+
+// Top-left cell of the sheet a 2D row array was read from (pasted tables and CSV files start at A1).
+function sheetOrigin(rows) {
+  return (rows && rows.origin) || { row: 0, col: 0 };
+}
+
+/* -------------------- Utilities: reading CSV/TSV files and pasted tables -------------------- */
+// Read an uploaded source file into the same [{ name, rows }] sheet list as readExcelFile.
+// Delimited text files (.csv, .tsv, .txt) are decoded and split here; anything else goes through SheetJS.
+function readSourceFile(file, type) {
+  if (isDelimitedFile(file)) return readDelimitedFile(file);
+  return readExcelFile(file, type);
+}
+
+function isDelimitedFile(file) {
+  const name = (file && file.name ? String(file.name) : '').toLowerCase();
+  return /\.(csv|tsv|txt)$/.test(name) || (file && /^text\//.test(file.type || ''));
+}
+
+function readDelimitedFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = function(e) {
+      try {
+        const text = decodeTextBuffer(new Uint8Array(e.target.result));
+        resolve([{ name: file.name, rows: parseDelimitedText(text) }]);
+      } catch (err) {
+        reject(err);
+      }
+    };
+    reader.onerror = reject;
+    reader.readAsArrayBuffer(file);
+  });
+}
+
+// Detect the text encoding: honour a UTF-8/UTF-16 byte-order mark, otherwise try strict UTF-8 and fall back
+// to Windows-1252, which is what Excel and SAP GUI write for "CSV" on most Canadian desktops.
+function decodeTextBuffer(bytes) {
+  if (bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return new TextDecoder('utf-8').decode(bytes.subarray(3));
+  if (bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xFE) return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+  if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch (e) {
+    return new TextDecoder('windows-1252').decode(bytes);
+  }
+}
+
+// Pick the delimiter that splits the first records into the most consistent, non-trivial column count.
+// Records are parsed with quoting, so a quoted cell holding a line break does not count as two lines.
+function detectDelimiter(text) {
+  const candidates = ['\t', ',', ';', '|'];
+  const sample = String(text || '').slice(0, 65536);
+  let best = '\t';
+  let bestScore = 0;
+  candidates.forEach(d => {
+    const counts = parseDelimitedText(sample, d).filter(r => r.some(c => c !== null)).slice(0, 20).map(r => r.length - 1);
+    const freq = {};
+    counts.forEach(n => { if (n > 0) freq[n] = (freq[n] || 0) + 1; });
+    Object.entries(freq).forEach(([n, lineCount]) => {
+      // consistency first (lines sharing the same column count), then width
+      const score = lineCount * 1000 + Number(n);
+      if (score > bestScore) { bestScore = score; best = d; }
+    });
+  });
+  return best;
+}
+
+// Parse delimited text (RFC 4180 quoting) into a 2D array. Empty cells become null and plain numbers are
+// converted to numbers so the rows behave like worksheet rows in sheetRowsToObjects and the extractors; digits
+// that would not read back the same ('00012345', '0110', '7.50') stay text, as Excel keeps them in text cells.
+function parseDelimitedText(text, delimiter) {
+  const src = String(text || '');
+  const delim = delimiter || detectDelimiter(src);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let wasQuoted = false;
+  function endCell() {
+    const raw = wasQuoted ? cell : cell.trim();
+    if (raw === '') row.push(null);
+    else if (!wasQuoted && /^-?\d+(\.\d+)?$/.test(raw) && String(Number(raw)) === raw) row.push(Number(raw));
+    else row.push(raw);
+    cell = ''; wasQuoted = false;
+  }
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell.trim() === '') {
+      quoted = true; wasQuoted = true; cell = '';
+    } else if (ch === delim) {
+      endCell();
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      endCell(); rows.push(row); row = [];
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) { endCell(); rows.push(row); }
+  return rows;
+}
+
+// Header signatures used to recognise which sheet of a workbook holds the DRMIS or Oracle leave table.
+// Each entry tests one lower-cased, trimmed header cell; a sheet scores one point per entry it satisfies.
+const sourceSignatures = {
+  drmis: [
+    h => h.includes('pers') && h.includes('no'),
+    h => h === 'date',
+    h => h === 'hours',
+    h => h.includes('a/a') && h.includes('type') && !h.includes('text')
+  ],
+  oracle: [
+    h => h.includes('from') && h.includes('date'),
+    h => h.startsWith('to') && h.includes('date'),
+    h => h.includes('hours') && h.includes('recorded'),
+    h => h.includes('leave') && h.includes('code')
+  ]
+};
+
+function scoreSheetSignature(headers, type) {
+  const tests = sourceSignatures[type] || [];
+  const norm = (headers || []).map(h => (h === null || h === undefined) ? '' : String(h).trim().toLowerCase());
+  return tests.filter(t => norm.some(h => t(h))).length;
+}
+
+// Describe each sheet (detected header row, record count, signature score) and pick the one
+// that best matches the expected source type. Ties go to the sheet with more records, then to sheet order.
+function describeWorkbookSheets(sheets, type) {
+  const described = (sheets || []).map((s, idx) => {
+    const detected = sheetRowsToObjects(s.rows);
+    return {
+      index: idx,
+      name: s.name,
+      rows: s.rows,
+      headerRowIndex: detected.headerRowIndex,
+      headers: detected.headers,
+      recordCount: detected.rows.length,
+      signatureScore: scoreSheetSignature(detected.headers, type)
+    };
+  });
+  let selectedIndex = 0;
+  described.forEach((d, i) => {
+    const best = described[selectedIndex];
+    if (d.signatureScore > best.signatureScore || (d.signatureScore === best.signatureScore && d.recordCount > best.recordCount)) selectedIndex = i;
+  });
+  return { sheets: described, selectedIndex: selectedIndex };
+}
+
+/* -------------------- Header row and column bounds -------------------- */
+// Where the table of a raw sheet starts. Some exported sheets include top metadata rows, blank columns, or title
+// rows before the real header: the first 30 rows are scored by their non-empty cells, plus 50 when a text cell
+// names a known header, and the best one is the header row. candidates keeps each scanned row's score for the
+// file preview. Returns { headerRowIndex, firstCol, lastCol, candidates: [{ row, score }] }.
+function detectSheetLayout(rows) {
   const maxScan = Math.min(30, rows.length);
   const headerKeywords = ['pers','pers.no','pers no','pers_no','date','hours','a/atype','aatype','a a type','a a','leave','leave code','a/a type','a/atype'];
   let bestIdx = 0;
   let bestScore = -1;
+  const candidates = [];
   for (let i = 0; i < maxScan; i++) {
     const r = rows[i] || [];
     const norm = r.map(c => (c === null || c === undefined) ? '' : String(c).trim().toLowerCase());
     const nonEmpty = norm.filter(x => x !== '');
-    const hasKeyword = norm.some(x => headerKeywords.some(k => x.includes(k)));
+    // header names are text; a date cell's long string form must not pass for one
+    const hasKeyword = norm.some((x, c) => typeof r[c] === 'string' && headerKeywords.some(k => x.includes(k)));
     const score = nonEmpty.length + (hasKeyword ? 50 : 0);
+    candidates.push({ row: i, score: score });
     if (score > bestScore) { bestScore = score; bestIdx = i; }
   }
+  return Object.assign({ headerRowIndex: bestIdx, candidates: candidates }, sheetColumnBounds(rows, bestIdx));
+}
 
-  // Determine column bounds: skip leading columns that are mostly empty
-  const totalRows = rows.length - (bestIdx + 1);
-  const colCount = rows[bestIdx] ? rows[bestIdx].length : 0;
+// Column bounds of the table under a header row: leading and trailing columns holding fewer than
+// max(3, 15% of the data rows) values are left out. Returns { firstCol, lastCol }.
+function sheetColumnBounds(rows, headerRowIndex) {
+  const totalRows = rows.length - (headerRowIndex + 1);
+  const colCount = rows[headerRowIndex] ? rows[headerRowIndex].length : 0;
   const colNonEmpty = new Array(colCount).fill(0);
-  for (let r = bestIdx + 1; r < rows.length; r++) {
+  for (let r = headerRowIndex + 1; r < rows.length; r++) {
     const row = rows[r] || [];
     for (let c = 0; c < colCount; c++) {
       if (row[c] !== null && row[c] !== undefined && String(row[c]).toString().trim() !== '') colNonEmpty[c]++;
     }
   }
-  // threshold: consider a column present if it has at least max(3, 15% of data rows) non-empty values
   const threshold = Math.max(3, Math.ceil((totalRows || 0) * 0.15));
   let firstCol = 0; while (firstCol < colCount && colNonEmpty[firstCol] < threshold) firstCol++;
   let lastCol = colCount - 1; while (lastCol >= firstCol && colNonEmpty[lastCol] < threshold) lastCol--;
   if (firstCol > lastCol) { firstCol = 0; lastCol = colCount - 1; }
+  return { firstCol: firstCol, lastCol: lastCol };
+}
+
+// Header rows and column bounds chosen in the file preview, remembered in localStorage for files with the same
+// layout: [{ headerRowIndex, firstCol, lastCol, headerText }], where headerText (see headerRowText) is the
+// chosen header row's content. A file whose row at headerRowIndex reads the same gets the same layout.
+let headerLayouts = [];
+const HEADER_LAYOUTS_KEY = 'leave_reconcile_header_layouts';
+const maxHeaderLayouts = 30;
+
+function loadHeaderLayouts() {
+  headerLayouts = [];
+  try {
+    const raw = localStorage.getItem(HEADER_LAYOUTS_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    if (Array.isArray(parsed)) headerLayouts = parsed.filter(l => l && Number.isInteger(l.headerRowIndex) && typeof l.headerText === 'string');
+  } catch (e) {
+    console.warn('Failed to load header layouts', e);
+  }
+}
+
+function saveHeaderLayouts() {
+  try { localStorage.setItem(HEADER_LAYOUTS_KEY, JSON.stringify(headerLayouts)); } catch (e) { console.warn('Failed to save header layouts', e); }
+}
+
+function headerRowText(rows, index) {
+  return (rows[index] || []).map(c => (c === null || c === undefined) ? '' : String(c).trim().toLowerCase()).join('|');
+}
+
+function rememberedHeaderLayout(rows) {
+  return headerLayouts.find(l => l.headerRowIndex < rows.length && headerRowText(rows, l.headerRowIndex) === l.headerText) || null;
+}
+
+// Remember a layout for rows (and files like it), replacing any earlier choice that applied to them.
+// Choosing exactly what detection finds just forgets the earlier choice.
+function rememberHeaderLayout(rows, layout) {
+  forgetHeaderLayout(rows);
+  const detected = detectSheetLayout(rows);
+  if (detected.headerRowIndex === layout.headerRowIndex && detected.firstCol === layout.firstCol && detected.lastCol === layout.lastCol) return;
+  headerLayouts.unshift({ headerRowIndex: layout.headerRowIndex, firstCol: layout.firstCol, lastCol: layout.lastCol, headerText: headerRowText(rows, layout.headerRowIndex) });
+  headerLayouts = headerLayouts.slice(0, maxHeaderLayouts);
+  saveHeaderLayouts();
+}
+
+function forgetHeaderLayout(rows) {
+  const kept = headerLayouts.filter(l => !(l.headerRowIndex < rows.length && headerRowText(rows, l.headerRowIndex) === l.headerText));
+  if (kept.length !== headerLayouts.length) { headerLayouts = kept; saveHeaderLayouts(); }
+}
+
+// Cell values keep their types (Dates, numbers, text) from sheetToRows or parseDelimitedText; only the header
+// row is turned into text. The header row and column bounds are the ones remembered for the file's layout
+// (rememberedHeaderLayout), else detected (detectSheetLayout); overridden tells which.
+function sheetRowsToObjects(rows) {
+  if (!rows || rows.length === 0) return { headers: [], rows: [], headerRowIndex: 0, rowNumbers: [], firstCol: 0, lastCol: -1, overridden: false };
+  const remembered = rememberedHeaderLayout(rows);
+  const layout = remembered || detectSheetLayout(rows);
+  const bestIdx = layout.headerRowIndex;
+  const firstCol = Math.max(0, layout.firstCol);
+  const lastCol = layout.lastCol;
 
   // build headers from detected header row trimmed to bounds
   const rawHeaderRow = rows[bestIdx] || [];
@@ -134,8 +421,10 @@ function sheetRowsToObjects(rows) {
     headers.push(h !== null && h !== undefined ? String(h).trim() : '');
   }
 
-  // build objects from subsequent rows (rows after header)
+  // build objects from subsequent rows (rows after header); rowNumbers keeps each object's 1-based sheet row
+  const origin = sheetOrigin(rows);
   const objs = [];
+  const rowNumbers = [];
   for (let r = bestIdx + 1; r < rows.length; r++) {
     const row = rows[r] || [];
     // skip rows that are completely blank in the header columns
@@ -149,12 +438,14 @@ function sheetRowsToObjects(rows) {
       obj[headers[hi]] = row[ci];
     }
     objs.push(obj);
+    rowNumbers.push(origin.row + r + 1);
   }
-  return { headers, rows: objs };
+  return { headers, rows: objs, headerRowIndex: bestIdx, rowNumbers, firstCol, lastCol, overridden: !!remembered };
 }
 
 // Build a lookup map from raw DRMIS sheet objects so we can prefill CATs editable rows.
-function buildDrmisLookup(rowsObjects) {
+// dateFormat and hoursUnit (optional) override the date format and hours unit detected from the date and hours columns.
+function buildDrmisLookup(rowsObjects, dateFormat, hoursUnit) {
   drmisLookup = new Map();
   if (!rowsObjects || rowsObjects.length === 0) return;
   const keys = Object.keys(rowsObjects[0] || {});
@@ -168,17 +459,19 @@ function buildDrmisLookup(rowsObjects) {
   const aatypeKey = Object.keys(lowerMap).find(k => k.includes('a/a') && k.includes('type')) ? lowerMap[Object.keys(lowerMap).find(k => k.includes('a/a') && k.includes('type'))] : (lowerMap['a/atype']||null);
   const hoursKey = Object.keys(lowerMap).find(k => k==='hours') ? 'Hours' : (lowerMap['hours']||null);
 
+  const format = dateFormats[dateFormat] ? dateFormat : detectDateFormat(rowsObjects.map(r => r[dateKey])).format;
+  const unit = hoursUnits[hoursUnit] ? hoursUnit : (hoursKey ? detectHoursUnit(hoursKey, rowsObjects.map(r => r[hoursKey])).unit : 'hours');
   rowsObjects.forEach(r => {
     const dateVal = r[dateKey];
-    const d = normalizeDate(dateVal);
+    const d = normalizeDate(dateVal, format);
     if (!d) return;
-    const dateKeyStr = d.toISOString().split('T')[0];
+    const dateKeyStr = dateKeyOf(d);
     const pers = (persKey && r[persKey]) ? String(r[persKey]).trim() : '';
     const recOrder = recKey && r[recKey] ? String(r[recKey]).trim() : '';
     const act = actKey && r[actKey] ? String(r[actKey]).trim() : '';
     let aatype = aatypeKey && r[aatypeKey] ? String(r[aatypeKey]).trim() : '';
     if (aatype === '' || aatype === '-') aatype = '0';
-    const hours = hoursKey && r[hoursKey] !== undefined && r[hoursKey] !== null ? (Number(r[hoursKey]) || 0) : 0;
+    const hours = hoursKey ? hoursFromCell(r[hoursKey], unit, regularHoursFor(pers, d)).hours : 0;
     const entry = { recOrder, act, aatype, hours };
     const mapKey = dateKeyStr + '|' + String(pers || '');
     if (!drmisLookup.has(mapKey)) drmisLookup.set(mapKey, []);
@@ -186,20 +479,222 @@ function buildDrmisLookup(rowsObjects) {
   });
 }
 
-// Normalize date similar to Python normalize_date
-function normalizeDate(value) {
+/* -------------------- Calendar dates -------------------- */
+// Leave is booked against calendar days, which have no time or time zone. A calendar date is
+// { year, month (1-12), day }; every source date is parsed into one, and keys ('YYYY-MM-DD'), display text and
+// exports are produced from one. Rows carry it as a local-midnight Date (calendarDateToLocal) for weekday and
+// schedule arithmetic; never read those through UTC (toISOString, getUTC*), which moves them a day east of UTC.
+const displayMonths = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
+
+// A valid calendar date, or null (e.g. 31 April)
+function calendarDate(year, month, day) {
+  const y = Number(year), m = Number(month), d = Number(day);
+  if (!Number.isInteger(y) || !Number.isInteger(m) || !Number.isInteger(d) || m < 1 || m > 12 || d < 1) return null;
+  if (d > new Date(Date.UTC(y, m, 0)).getUTCDate()) return null;
+  return { year: y, month: m, day: d };
+}
+
+// Calendar date of a local Date, a calendar date, a 'YYYY-MM-DD' key or display text ('Apr 10, 2025'); null otherwise
+function toCalendarDate(value) {
   if (value === null || value === undefined || value === '') return null;
-  if (value instanceof Date) return new Date(value.getFullYear(), value.getMonth(), value.getDate());
-  // Excel date serial (number)
-  if (typeof value === 'number') {
-    // Excel uses 1900-date system by default (offset from 1899-12-30)
-    const epoch = new Date(Date.UTC(1899,11,30));
-    const ms = (value - 0) * 24*60*60*1000; // treat as days
-    const d = new Date(epoch.getTime() + ms);
-    return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : calendarDate(value.getFullYear(), value.getMonth() + 1, value.getDate());
+  if (typeof value === 'object') return calendarDate(value.year, value.month, value.day);
+  const s = String(value).trim();
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (m) return calendarDate(m[1], m[2], m[3]);
+  m = s.match(/^([A-Za-z]{3})[a-z]*\.? (\d{1,2}),? (\d{4})$/);
+  if (m) {
+    const month = displayMonths.findIndex(x => x.toLowerCase() === m[1].toLowerCase());
+    return month < 0 ? null : calendarDate(m[3], month + 1, m[2]);
+  }
+  return null;
+}
+
+// Calendar date of an Excel date serial: whole days since 1899-12-30 (1900 date system), counted in UTC
+function calendarDateFromSerial(serial) {
+  const d = new Date(Date.UTC(1899, 11, 30) + Math.floor(Number(serial)) * 24 * 60 * 60 * 1000);
+  return isNaN(d.getTime()) ? null : calendarDate(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate());
+}
+
+function calendarDateToLocal(cd) {
+  return cd ? new Date(cd.year, cd.month - 1, cd.day) : null;
+}
+
+function calendarDateKey(cd) {
+  return cd ? cd.year + '-' + String(cd.month).padStart(2, '0') + '-' + String(cd.day).padStart(2, '0') : '';
+}
+
+/* -------------------- Date formats -------------------- */
+// How a file writes its dates as text. Each file's date column is read as a whole (detectDateFormat): a first
+// number over 12 can only be a day and a second number over 12 only a day in month-first dates.
+const dateFormats = {
+  dmy: { label: 'Day first (dd/mm/yyyy)' },
+  mdy: { label: 'Month first (mm/dd/yyyy)' },
+  ymd: { label: 'Year first (yyyy-mm-dd)' }
+};
+const numericDatePattern = /^(\d{1,4})([./-])(\d{1,2})\2(\d{4}|\d{1,2})$/;
+
+// Infer the date format of a column of cell values. Excel dates and serials need no format and are skipped.
+// Returns { format, how, signature, text, dayFirst, monthFirst, mixed }: signature is the most common shape of
+// the text dates (digits as 9, e.g. '99/99/9999'); dayFirst / monthFirst count the values that settle the order.
+function detectDateFormat(values) {
+  const info = { format: '', how: '', signature: '', text: 0, dayFirst: 0, monthFirst: 0, yearFirst: 0, mixed: false };
+  const shapes = new Map();
+  let separator = '';
+  (values || []).forEach(v => {
+    if (typeof v !== 'string') return;
+    const m = v.trim().match(numericDatePattern);
+    if (!m || (m[1].length !== 4 && m[4].length !== 4)) return;
+    info.text++;
+    const shape = v.trim().replace(/\d/g, '9');
+    shapes.set(shape, (shapes.get(shape) || 0) + 1);
+    if (!separator) separator = m[2];
+    if (m[1].length === 4) { info.yearFirst++; return; }
+    const a = Number(m[1]), b = Number(m[3]);
+    if (a > 12 && b <= 12) info.dayFirst++;
+    else if (b > 12 && a <= 12) info.monthFirst++;
+  });
+  if (info.text === 0) return info;
+  info.signature = Array.from(shapes.entries()).sort((x, y) => y[1] - x[1])[0][0];
+  info.mixed = info.dayFirst > 0 && info.monthFirst > 0;
+  const plural = n => `${n} date${n === 1 ? '' : 's'}`;
+  if (info.yearFirst > info.text / 2) { info.format = 'ymd'; info.how = 'dates start with the year'; }
+  else if (info.dayFirst > info.monthFirst) { info.format = 'dmy'; info.how = `${plural(info.dayFirst)} with a day over 12 first`; }
+  else if (info.monthFirst > info.dayFirst) { info.format = 'mdy'; info.how = `${plural(info.monthFirst)} with a day over 12 second`; }
+  else { info.format = separator === '/' ? 'mdy' : 'dmy'; info.how = `no day over 12, assumed from the "${separator}" separator`; }
+  if (info.mixed) info.how += ` (${info.dayFirst} day-first and ${info.monthFirst} month-first dates: check the format)`;
+  return info;
+}
+
+// Detect and record (extractionDateFormats[source]) the date format of a column; override is the user's choice
+function resolveDateFormat(source, values, override) {
+  const info = Object.assign(detectDateFormat(values), { detected: '', overridden: false, unparseable: 0 });
+  info.detected = info.format;
+  if (dateFormats[override]) { info.format = override; info.overridden = true; }
+  extractionDateFormats[source] = info;
+  return info;
+}
+
+// Date format the user chose for the selected file of a source ('drmis' or 'oracle'), or '' for automatic
+function dateFormatOverride(which) {
+  return (sourceSheets[which] && sourceSheets[which].dateFormat) || '';
+}
+
+// One line about a recorded date format, for the Reconcile page and exports
+function describeDateFormat(info) {
+  if (!info) return '';
+  const parts = [];
+  if (info.text === 0) parts.push('Dates are stored as Excel dates');
+  else if (info.overridden) parts.push(`${dateFormats[info.format].label}, chosen by you${info.detected && info.detected !== info.format ? ' (detected ' + dateFormats[info.detected].label.toLowerCase() + ')' : ''}`);
+  else parts.push(`${dateFormats[info.format].label}: ${info.how}`);
+  if (info.signature) parts.push(`signature ${info.signature}`);
+  if (info.unparseable) parts.push(`${info.unparseable} unreadable date${info.unparseable === 1 ? '' : 's'}`);
+  return parts.join('; ');
+}
+
+/* -------------------- Hours values -------------------- */
+// Hours cells come as numbers, Excel times (fractions of a day), 'h:mm' text, decimal commas ('7,5') or with a
+// unit ('7.5 h', '1 day'). A column can hold days instead of hours; those are converted with the employee's
+// regular hours on the date (regularHoursFor).
+const hoursUnits = {
+  hours: 'hours',
+  days: 'days',
+  time: 'Excel times (fractions of a day)'
+};
+
+// Read one hours cell: { amount, unit ('hours', 'days', or '' for a bare number), ok, blank }. Blank cells and
+// '-' are 0 hours; anything else that is not a number, a time or a number with a unit is not ok.
+function readHoursText(value) {
+  if (value === null || value === undefined) return { amount: 0, unit: '', ok: true, blank: true };
+  if (typeof value === 'number') return isFinite(value) ? { amount: value, unit: '', ok: true } : { amount: 0, unit: '', ok: false };
+  // an Excel time cell read as a date: its time of day
+  if (value instanceof Date) return isNaN(value.getTime()) ? { amount: 0, unit: '', ok: false } : { amount: value.getHours() + value.getMinutes() / 60 + value.getSeconds() / 3600, unit: 'hours', ok: true };
+  const s = String(value).trim().toLowerCase();
+  if (s === '' || s === '-') return { amount: 0, unit: '', ok: true, blank: true };
+  // h:mm or h:mm:ss
+  let m = s.match(/^(-?)(\d{1,3}):([0-5]\d)(?::([0-5]\d))?$/);
+  if (m) return { amount: (m[1] ? -1 : 1) * (Number(m[2]) + Number(m[3]) / 60 + Number(m[4] || 0) / 3600), unit: 'hours', ok: true };
+  // 7h30, 7 h 30 min
+  m = s.match(/^(\d{1,3})\s*h\s*(\d{1,2})\s*(?:m|min|mins|minutes)?$/);
+  if (m && Number(m[2]) < 60) return { amount: Number(m[1]) + Number(m[2]) / 60, unit: 'hours', ok: true };
+  // a number with a decimal point or comma and an optional unit
+  m = s.match(/^(-?\d+(?:[.,]\d+)?|-?[.,]\d+)\s*(h|hr|hrs|hour|hours|heure|heures|d|day|days|jour|jours)?$/);
+  if (m) {
+    const unit = !m[2] ? '' : (/^(d|day|days|jour|jours)$/.test(m[2]) ? 'days' : 'hours');
+    return { amount: Number(m[1].replace(',', '.')), unit: unit, ok: true };
   }
+  return { amount: 0, unit: '', ok: false };
+}
+
+// Unit of an hours column, from its header and values: 'days' when the header says so, or (under a header naming
+// neither unit) most unit-bearing values say so or every value is a half or whole day; 'time' when every value is
+// a fraction of a day landing on a quarter hour that is not itself a quarter (0.3125 for 7:30); else 'hours'.
+// Returns { unit, how }.
+function detectHoursUnit(header, values) {
+  const h = String(header || '').toLowerCase();
+  const namesHours = /hours?|heures?/.test(h);
+  if (/\b(days?|jours?)\b/.test(h) && !namesHours) return { unit: 'days', how: `column "${header}"` };
+  const read = (values || []).map(readHoursText).filter(x => x.ok && !x.blank);
+  const inDays = read.filter(x => x.unit === 'days').length;
+  if (!namesHours && inDays > 0 && inDays >= read.filter(x => x.unit === 'hours').length) return { unit: 'days', how: `${inDays} value${inDays === 1 ? '' : 's'} given in days` };
+  const numbers = read.filter(x => x.unit === '' && x.amount !== 0).map(x => Math.abs(x.amount));
+  const isMultiple = (n, step) => Math.abs(n / step - Math.round(n / step)) < 1e-6;
+  if (!namesHours && numbers.length >= 3 && numbers.every(n => n <= 1 && isMultiple(n, 0.5))) return { unit: 'days', how: 'every value is a half or whole day' };
+  if (numbers.length > 0 && numbers.every(n => n < 1 && isMultiple(n * 24, 0.25)) && numbers.some(n => !isMultiple(n, 0.25))) return { unit: 'time', how: 'every value is a time of day' };
+  return { unit: 'hours', how: '' };
+}
+
+// Detect and record (extractionHours[source]) the unit of an hours column; override is the user's choice
+function resolveHoursUnit(source, header, values, override) {
+  const info = Object.assign(detectHoursUnit(header, values), { detected: '', overridden: false, issues: [] });
+  info.detected = info.unit;
+  if (hoursUnits[override]) { info.unit = override; info.how = 'chosen on the Reconcile page'; info.overridden = true; }
+  extractionHours[source] = info;
+  return info;
+}
+
+// Hours unit the user chose for the selected file of a source ('drmis' or 'oracle'), or '' for automatic
+function hoursUnitOverride(which) {
+  return (sourceSheets[which] && sourceSheets[which].hoursUnit) || '';
+}
+
+// Hours of one cell in a column of the given unit; dayLength (the employee's regular hours on the date) converts
+// days. Returns { hours, ok }; cells that are not ok count as 0 hours.
+function hoursFromCell(value, unit, dayLength) {
+  const read = readHoursText(value);
+  if (!read.ok) return { hours: 0, ok: false };
+  const cellUnit = read.unit || (unit === 'days' ? 'days' : (unit === 'time' && typeof value === 'number' ? 'time' : 'hours'));
+  const round = n => Math.round(n * 10000) / 10000;
+  if (cellUnit === 'days') return { hours: round(read.amount * dayLength), ok: true };
+  if (cellUnit === 'time') return { hours: round(read.amount * 24), ok: true };
+  return { hours: read.amount, ok: true };
+}
+
+// Today's date where the user is, for file names
+function todayKey() {
+  return dateKeyOf(new Date());
+}
+
+// Normalize date similar to Python normalize_date. format ('dmy', 'mdy' or 'ymd', see dateFormats) decides how
+// numeric text dates are read; without it dots and dashes are day first and slashes month first.
+function normalizeDate(value, format) {
+  return calendarDateToLocal(parseCalendarDate(value, format));
+}
+
+// Calendar date of a source cell: a Date, an Excel serial or text in one of the known formats
+function parseCalendarDate(value, format) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return toCalendarDate(value);
+  // Excel date serial (number)
+  if (typeof value === 'number') return calendarDateFromSerial(value);
   if (typeof value === 'string') {
     const s = value.trim();
+    const numeric = dateFormats[format] ? s.match(numericDatePattern) : null;
+    if (numeric && (numeric[1].length === 4 || numeric[4].length === 4)) {
+      const [a, b, c] = [numeric[1], numeric[3], numeric[4]].map(Number);
+      if (numeric[1].length === 4) return calendarDate(a, b, c);
+      return format === 'mdy' ? calendarDate(c, a, b) : calendarDate(c, b, a);
+    }
     // try known formats
     const fmts = [/^(\d{1,2})[.](\d{1,2})[.](\d{4})$/, /^(\d{1,2})-(\d{1,2})-(\d{4})$/, /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, /^(\d{4})-(\d{1,2})-(\d{1,2})$/];
     for (let f of fmts) {
@@ -209,121 +704,884 @@ function normalizeDate(value) {
         if (f === fmts[0] || f === fmts[1]) { day = parseInt(m[1]); mn = parseInt(m[2]); y = parseInt(m[3]); }
         else if (f === fmts[2]) { mn = parseInt(m[1]); day = parseInt(m[2]); y = parseInt(m[3]); }
         else { y = parseInt(m[1]); mn = parseInt(m[2]); day = parseInt(m[3]); }
-        return new Date(y, mn-1, day);
+        return calendarDate(y, mn, day);
       }
     }
-    // fallback to Date.parse
-    const parsed = Date.parse(s);
-    if (!isNaN(parsed)) return new Date(new Date(parsed).getFullYear(), new Date(parsed).getMonth(), new Date(parsed).getDate());
+    // display text written by this tool, e.g. 'Apr 10, 2025'
+    const display = toCalendarDate(s);
+    if (display) return display;
+    // fallback to Date.parse (a bare ISO date would be read as UTC midnight; those are matched above)
+    const parsed = new Date(Date.parse(s));
+    if (!isNaN(parsed.getTime())) return toCalendarDate(parsed);
   }
   return null;
 }
 
+/* -------------------- Holiday calendar engine -------------------- */
+// Holiday rules. Each rule returns the holiday's actual date for a given year, or null for years
+// in which it was not (yet) a holiday. Calendars below are lists of these rules.
+const holidayRules = {
+  newYear: { name: "New Year's Day", date: y => new Date(y, 0, 1) },
+  familyDay: { name: 'Family Day', date: y => nthWeekdayOfMonth(y, 1, 1, 3) },
+  goodFriday: { name: 'Good Friday', date: y => addDays(easterSunday(y), -2) },
+  easterMonday: { name: 'Easter Monday', date: y => addDays(easterSunday(y), 1) },
+  victoriaDay: { name: 'Victoria Day', date: y => mondayPreceding(new Date(y, 4, 25)) },
+  canadaDay: { name: 'Canada Day', date: y => new Date(y, 6, 1) },
+  civicHoliday: { name: 'Civic Holiday', date: y => nthWeekdayOfMonth(y, 7, 1, 1) },
+  labourDay: { name: 'Labour Day', date: y => nthWeekdayOfMonth(y, 8, 1, 1) },
+  truthAndReconciliation: { name: 'National Day for Truth and Reconciliation', date: y => y >= 2021 ? new Date(y, 8, 30) : null },
+  thanksgiving: { name: 'Thanksgiving Day', date: y => nthWeekdayOfMonth(y, 9, 1, 2) },
+  remembranceDay: { name: 'Remembrance Day', date: y => new Date(y, 10, 11) },
+  christmas: { name: 'Christmas Day', date: y => new Date(y, 11, 25) },
+  boxingDay: { name: 'Boxing Day', date: y => new Date(y, 11, 26) },
+  indigenousPeoplesDay: { name: 'National Indigenous Peoples Day', date: y => y >= 2017 ? new Date(y, 5, 21) : null }
+};
+
+// Copy of a rule that only applies from a given year (provincial adoptions differ from the federal one)
+function ruleSince(rule, firstYear, name) {
+  return { name: name || rule.name, date: y => y >= firstYear ? rule.date(y) : null };
+}
+
+// Canadian federal statutory holidays as observed in the federal public service
+const federalHolidayRules = [
+  holidayRules.newYear, holidayRules.goodFriday, holidayRules.easterMonday, holidayRules.victoriaDay,
+  holidayRules.canadaDay, holidayRules.civicHoliday, holidayRules.labourDay, holidayRules.truthAndReconciliation,
+  holidayRules.thanksgiving, holidayRules.remembranceDay, holidayRules.christmas, holidayRules.boxingDay
+];
+
+// Selectable calendars: federal plus each province's / territory's general (statutory) holidays
+const holidayCalendars = {
+  federal: { label: 'Federal (public service)', rules: federalHolidayRules },
+  AB: { label: 'Alberta', rules: [holidayRules.newYear, ruleSince(holidayRules.familyDay, 1990), holidayRules.goodFriday, holidayRules.victoriaDay, holidayRules.canadaDay, holidayRules.labourDay, holidayRules.thanksgiving, holidayRules.remembranceDay, holidayRules.christmas] },
+  BC: { label: 'British Columbia', rules: [holidayRules.newYear, { name: 'Family Day', date: y => y >= 2019 ? nthWeekdayOfMonth(y, 1, 1, 3) : (y >= 2013 ? nthWeekdayOfMonth(y, 1, 1, 2) : null) }, holidayRules.goodFriday, holidayRules.victoriaDay, holidayRules.canadaDay, { name: 'British Columbia Day', date: holidayRules.civicHoliday.date }, holidayRules.labourDay, ruleSince(holidayRules.truthAndReconciliation, 2023), holidayRules.thanksgiving, holidayRules.remembranceDay, holidayRules.christmas] },
+  MB: { label: 'Manitoba', rules: [holidayRules.newYear, ruleSince(holidayRules.familyDay, 2008, 'Louis Riel Day'), holidayRules.goodFriday, holidayRules.victoriaDay, holidayRules.canadaDay, holidayRules.labourDay, ruleSince(holidayRules.truthAndReconciliation, 2023), holidayRules.thanksgiving, holidayRules.christmas] },
+  NB: { label: 'New Brunswick', rules: [holidayRules.newYear, ruleSince(holidayRules.familyDay, 2018), holidayRules.goodFriday, holidayRules.canadaDay, { name: 'New Brunswick Day', date: holidayRules.civicHoliday.date }, holidayRules.labourDay, holidayRules.remembranceDay, holidayRules.christmas] },
+  NL: { label: 'Newfoundland and Labrador', rules: [holidayRules.newYear, holidayRules.goodFriday, { name: 'Memorial Day / Canada Day', date: holidayRules.canadaDay.date }, holidayRules.labourDay, holidayRules.remembranceDay, holidayRules.christmas] },
+  NS: { label: 'Nova Scotia', rules: [holidayRules.newYear, ruleSince(holidayRules.familyDay, 2015, 'Heritage Day'), holidayRules.goodFriday, holidayRules.canadaDay, holidayRules.labourDay, holidayRules.christmas] },
+  NT: { label: 'Northwest Territories', rules: [holidayRules.newYear, holidayRules.goodFriday, holidayRules.victoriaDay, holidayRules.indigenousPeoplesDay, holidayRules.canadaDay, holidayRules.civicHoliday, holidayRules.labourDay, ruleSince(holidayRules.truthAndReconciliation, 2022), holidayRules.thanksgiving, holidayRules.remembranceDay, holidayRules.christmas] },
+  NU: { label: 'Nunavut', rules: [holidayRules.newYear, holidayRules.goodFriday, holidayRules.victoriaDay, holidayRules.canadaDay, { name: 'Nunavut Day', date: y => new Date(y, 6, 9) }, holidayRules.civicHoliday, holidayRules.labourDay, ruleSince(holidayRules.truthAndReconciliation, 2022), holidayRules.thanksgiving, holidayRules.remembranceDay, holidayRules.christmas] },
+  ON: { label: 'Ontario', rules: [holidayRules.newYear, ruleSince(holidayRules.familyDay, 2008), holidayRules.goodFriday, holidayRules.victoriaDay, holidayRules.canadaDay, holidayRules.labourDay, holidayRules.thanksgiving, holidayRules.christmas, holidayRules.boxingDay] },
+  PE: { label: 'Prince Edward Island', rules: [holidayRules.newYear, ruleSince(holidayRules.familyDay, 2009, 'Islander Day'), holidayRules.goodFriday, holidayRules.canadaDay, holidayRules.labourDay, ruleSince(holidayRules.truthAndReconciliation, 2022), holidayRules.remembranceDay, holidayRules.christmas] },
+  QC: { label: 'Quebec', rules: [holidayRules.newYear, holidayRules.goodFriday, { name: "National Patriots' Day", date: holidayRules.victoriaDay.date }, { name: 'Fête nationale du Québec', date: y => new Date(y, 5, 24) }, holidayRules.canadaDay, holidayRules.labourDay, holidayRules.thanksgiving, holidayRules.christmas] },
+  SK: { label: 'Saskatchewan', rules: [holidayRules.newYear, ruleSince(holidayRules.familyDay, 2007), holidayRules.goodFriday, holidayRules.victoriaDay, holidayRules.canadaDay, { name: 'Saskatchewan Day', date: holidayRules.civicHoliday.date }, holidayRules.labourDay, holidayRules.thanksgiving, holidayRules.remembranceDay, holidayRules.christmas] },
+  YT: { label: 'Yukon', rules: [holidayRules.newYear, holidayRules.goodFriday, holidayRules.victoriaDay, holidayRules.indigenousPeoplesDay, holidayRules.canadaDay, { name: 'Discovery Day', date: y => nthWeekdayOfMonth(y, 7, 1, 3) }, holidayRules.labourDay, ruleSince(holidayRules.truthAndReconciliation, 2023), holidayRules.thanksgiving, holidayRules.remembranceDay, holidayRules.christmas] }
+};
+
+// Active calendar (persisted in localStorage). customHolidays are extra days uploaded by the user,
+// stored as { date: 'YYYY-MM-DD', name } and observed exactly on the listed date.
+let holidaySettings = { calendar: 'federal', customHolidays: [], customSource: '' };
+const HOLIDAY_SETTINGS_KEY = 'leave_reconcile_holidays';
+
+// Computed holidays per year: year -> [{ name, date, observed }]
+const holidayCache = new Map();
+
+function addDays(dateObj, n) {
+  return new Date(dateObj.getFullYear(), dateObj.getMonth(), dateObj.getDate() + n);
+}
+
+// Easter Sunday (Gregorian calendar), anonymous "Meeus/Jones/Butcher" algorithm
+function easterSunday(year) {
+  const a = year % 19, b = Math.floor(year / 100), c = year % 100;
+  const d = Math.floor(b / 4), e = b % 4, f = Math.floor((b + 8) / 25), g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30, i = Math.floor(c / 4), k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7, m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31), day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+}
+
+// e.g. nthWeekdayOfMonth(2025, 8, 1, 1) -> first Monday of September 2025 (month is 0-based, weekday 0=Sun)
+function nthWeekdayOfMonth(year, month, weekday, n) {
+  const first = new Date(year, month, 1);
+  const offset = (weekday - first.getDay() + 7) % 7;
+  return new Date(year, month, 1 + offset + (n - 1) * 7);
+}
+
+// The last Monday strictly before the given date (Victoria Day is the Monday preceding May 25)
+function mondayPreceding(dateObj) {
+  const back = ((dateObj.getDay() + 6) % 7) || 7;
+  return addDays(dateObj, -back);
+}
+
+// 'YYYY-MM-DD' of a local Date or calendar date
+function dateKeyOf(dateObj) {
+  return calendarDateKey(toCalendarDate(dateObj));
+}
+
+// Build the holiday list for a year from a rule set. A holiday falling on a Saturday or Sunday is observed on
+// the next weekday that is not already a holiday (so Christmas/Boxing Day on a weekend become Mon/Tue).
+function computeHolidays(rules, year) {
+  const list = rules.map(r => ({ name: r.name, date: r.date(year) })).filter(h => h.date).sort((a, b) => a.date - b.date);
+  const taken = new Set(list.map(h => dateKeyOf(h.date)));
+  list.forEach(h => {
+    let obs = h.date;
+    if (obs.getDay() === 0 || obs.getDay() === 6) {
+      obs = addDays(obs, 1);
+      while (obs.getDay() === 0 || obs.getDay() === 6 || taken.has(dateKeyOf(obs))) obs = addDays(obs, 1);
+      taken.add(dateKeyOf(obs));
+    }
+    h.observed = obs;
+  });
+  return list;
+}
+
+function getHolidaysForYear(year) {
+  if (!holidayCache.has(year)) {
+    const cal = holidayCalendars[holidaySettings.calendar] || holidayCalendars.federal;
+    const list = computeHolidays(cal.rules, year);
+    const seen = new Set(list.map(h => dateKeyOf(h.observed)));
+    (holidaySettings.customHolidays || []).forEach(c => {
+      if (!c || !c.date || Number(String(c.date).slice(0, 4)) !== year || seen.has(c.date)) return;
+      const parts = String(c.date).split('-').map(Number);
+      const d = new Date(parts[0], parts[1] - 1, parts[2]);
+      list.push({ name: c.name || 'Designated holiday', date: d, observed: d, custom: true });
+      seen.add(c.date);
+    });
+    list.sort((a, b) => a.observed - b.observed);
+    holidayCache.set(year, list);
+  }
+  return holidayCache.get(year);
+}
+
+// All holidays whose observed day falls within [fromDate, toDate] (inclusive), in date order
+function getHolidaysInRange(fromDate, toDate) {
+  const out = [];
+  for (let y = fromDate.getFullYear(); y <= toDate.getFullYear(); y++) {
+    getHolidaysForYear(y).forEach(h => { if (h.observed >= fromDate && h.observed <= toDate) out.push(h); });
+  }
+  return out;
+}
+
+// Returns the holiday observed on this date, or null
+function getHoliday(dateObj) {
+  if (!dateObj) return null;
+  const key = dateKeyOf(dateObj);
+  return getHolidaysForYear(dateObj.getFullYear()).find(h => dateKeyOf(h.observed) === key) || null;
+}
+
+function loadHolidaySettings() {
+  try {
+    const raw = localStorage.getItem(HOLIDAY_SETTINGS_KEY);
+    if (raw) {
+      const parsed = JSON.parse(raw);
+      holidaySettings = {
+        calendar: holidayCalendars[parsed.calendar] ? parsed.calendar : 'federal',
+        customHolidays: Array.isArray(parsed.customHolidays) ? parsed.customHolidays : [],
+        customSource: parsed.customSource || ''
+      };
+    }
+  } catch (e) {
+    console.warn('Failed to load holiday settings', e);
+  }
+  holidayCache.clear();
+}
+
+function saveHolidaySettings() {
+  try { localStorage.setItem(HOLIDAY_SETTINGS_KEY, JSON.stringify(holidaySettings)); } catch (e) { console.warn('Failed to save holiday settings', e); }
+  holidayCache.clear();
+}
+
+function setHolidayCalendar(calendarId) {
+  holidaySettings.calendar = holidayCalendars[calendarId] ? calendarId : 'federal';
+  saveHolidaySettings();
+}
+
+function setCustomHolidays(list, source) {
+  holidaySettings.customHolidays = list || [];
+  holidaySettings.customSource = list && list.length ? (source || '') : '';
+  saveHolidaySettings();
+}
+
+// Human-readable description of the active calendar, shown on the Reconcile page and written into exports
+function describeHolidayCalendar() {
+  const cal = holidayCalendars[holidaySettings.calendar] || holidayCalendars.federal;
+  const n = (holidaySettings.customHolidays || []).length;
+  if (n === 0) return cal.label;
+  return `${cal.label} + ${n} uploaded holiday${n === 1 ? '' : 's'}${holidaySettings.customSource ? ' (' + holidaySettings.customSource + ')' : ''}`;
+}
+
+// Extract a holiday list from uploaded sheets. Prefers a sheet named "Holidays" (as in the legacy Leave Audit
+// workbook: HolidayDate / Holiday columns), otherwise the first sheet with a date column. Text dates are read in
+// the format detected from the column (detectDateFormat). Returns { holidays, format, unreadable }, where
+// unreadable lists the date cells that could not be read: [{ row (1-based sheet row), value }].
+function parseHolidaySheets(sheets) {
+  const ordered = (sheets || []).slice().sort((a, b) => (/holiday/i.test(b.name) ? 1 : 0) - (/holiday/i.test(a.name) ? 1 : 0));
+  for (let sh of ordered) {
+    const detected = sheetRowsToObjects(sh.rows);
+    const dateKey = detected.headers.find(h => /date/i.test(h));
+    if (!dateKey) continue;
+    const nameKey = detected.headers.find(h => h !== dateKey && /holiday|name|description/i.test(h));
+    const out = [];
+    const seen = new Set();
+    const unreadable = [];
+    const format = detectDateFormat(detected.rows.map(r => r[dateKey])).format;
+    detected.rows.forEach((r, i) => {
+      const d = normalizeDate(r[dateKey], format);
+      if (!d) {
+        const raw = r[dateKey] === null || r[dateKey] === undefined ? '' : String(r[dateKey]).trim();
+        if (raw !== '') unreadable.push({ row: detected.rowNumbers[i], value: raw });
+        return;
+      }
+      const key = dateKeyOf(d);
+      if (seen.has(key)) return;
+      seen.add(key);
+      out.push({ date: key, name: nameKey && r[nameKey] ? String(r[nameKey]).trim() : '' });
+    });
+    if (out.length > 0 || unreadable.length > 0) return { holidays: out.sort((a, b) => a.date < b.date ? -1 : 1), format, unreadable };
+  }
+  return { holidays: [], format: '', unreadable: [] };
+}
+
 function isBusinessDay(dateObj) {
   if (!dateObj) return false;
-  // Canadian Federal holidays for 2025 as in original app
-  const holidays2025 = [
-    new Date(2025,0,1).toDateString(),
-    new Date(2025,3,18).toDateString(),
-    new Date(2025,4,19).toDateString(),
-    new Date(2025,6,1).toDateString(),
-    new Date(2025,7,4).toDateString(),
-    new Date(2025,8,1).toDateString(),
-    new Date(2025,8,30).toDateString(),
-    new Date(2025,9,13).toDateString(),
-    new Date(2025,10,11).toDateString(),
-    new Date(2025,11,25).toDateString(),
-    new Date(2025,11,26).toDateString()
-  ];
-  if (holidays2025.includes(dateObj.toDateString())) return false;
+  if (getHoliday(dateObj)) return false;
   const day = dateObj.getDay(); // 0=Sun .. 6=Sat
   return day >=1 && day <=5;
 }
 
-function expandOracleEntries(oracleRows) {
+/* -------------------- Employee work schedules -------------------- */
+// A schedule is a rotation of one or more weeks; each week lists scheduled hours by weekday, indexed like
+// Date.getDay() (0=Sun .. 6=Sat). Rotations longer than one week start on the Sunday of the week holding `anchor`.
+const schedulePresets = {
+  std8: { label: 'Standard 8 h (Mon–Fri)', weeks: [[0, 8, 8, 8, 8, 8, 0]] },
+  std75: { label: 'Standard 7.5 h (Mon–Fri)', weeks: [[0, 7.5, 7.5, 7.5, 7.5, 7.5, 0]] },
+  compressed4x10: { label: 'Compressed 4 × 10 h (Mon–Thu)', weeks: [[0, 10, 10, 10, 10, 0, 0]] },
+  compressed4x9375: { label: 'Compressed 4 × 9.375 h (Mon–Thu)', weeks: [[0, 9.375, 9.375, 9.375, 9.375, 0, 0]] },
+  partTime3x75: { label: 'Part-time 3 × 7.5 h (Mon–Wed)', weeks: [[0, 7.5, 7.5, 7.5, 0, 0, 0]] }
+};
+
+// Persisted in localStorage. Each definition is { preset } or { preset: 'custom', weeks, anchor }.
+// `employees` maps Pers No -> definition; everyone else uses `defaultSchedule` (8 h days, as before schedules existed).
+let scheduleSettings = { defaultSchedule: { preset: 'std8' }, employees: {} };
+const SCHEDULE_SETTINGS_KEY = 'leave_reconcile_schedules';
+
+function loadScheduleSettings() {
+  try {
+    const raw = localStorage.getItem(SCHEDULE_SETTINGS_KEY);
+    if (raw) {
+      const parsed = JSON.parse(raw);
+      scheduleSettings = {
+        defaultSchedule: parsed.defaultSchedule || { preset: 'std8' },
+        employees: {}
+      };
+      // keys saved before Pers Nos were normalised may carry leading zeros
+      if (parsed.employees && typeof parsed.employees === 'object') Object.entries(parsed.employees).forEach(([k, def]) => { scheduleSettings.employees[persKey(k)] = def; });
+    }
+  } catch (e) {
+    console.warn('Failed to load work schedules', e);
+  }
+}
+
+function saveScheduleSettings() {
+  try { localStorage.setItem(SCHEDULE_SETTINGS_KEY, JSON.stringify(scheduleSettings)); } catch (e) { console.warn('Failed to save work schedules', e); }
+}
+
+// Turn a stored definition into { label, weeks, anchor } with numeric hours
+function resolveSchedule(def) {
+  if (def && def.preset && def.preset !== 'custom' && schedulePresets[def.preset]) {
+    const p = schedulePresets[def.preset];
+    return { label: p.label, weeks: p.weeks, anchor: null };
+  }
+  const weeks = (def && Array.isArray(def.weeks) && def.weeks.length > 0) ? def.weeks.map(w => Array.from({ length: 7 }, (_, i) => Number(w[i]) || 0)) : schedulePresets.std8.weeks;
+  const total = weeks.reduce((s, w) => s + w.reduce((a, b) => a + b, 0), 0);
+  // a schedule without any working hours would leave nowhere to place leave
+  if (total <= 0) return resolveSchedule({ preset: 'std8' });
+  const label = `Custom (${weeks.length > 1 ? weeks.length + '-week rotation, ' : ''}${total.toFixed(2)} h${weeks.length > 1 ? '' : ' per week'})`;
+  return { label: label, weeks: weeks, anchor: def && def.anchor ? def.anchor : null };
+}
+
+// Schedules are kept under persKey, so '0012345' typed on the Reconcile page and 12345 from the ledger find the same one
+function getScheduleFor(persNo) {
+  const key = persKey(persNo);
+  const def = (key && scheduleSettings.employees[key]) || scheduleSettings.defaultSchedule;
+  return resolveSchedule(def);
+}
+
+// Scheduled hours on a date (0 on a scheduled day off). Holidays are not considered here; see isBusinessDay().
+function scheduledHours(schedule, dateObj) {
+  if (!schedule || !dateObj) return 0;
+  let weekIdx = 0;
+  if (schedule.weeks.length > 1) {
+    const parts = String(schedule.anchor || '2023-01-01').split('-').map(Number);
+    const anchor = new Date(parts[0], parts[1] - 1, parts[2]);
+    const anchorSunday = addDays(anchor, -anchor.getDay());
+    const dateSunday = addDays(dateObj, -dateObj.getDay());
+    const weeksApart = Math.round((dateSunday - anchorSunday) / (7 * 24 * 60 * 60 * 1000));
+    weekIdx = ((weeksApart % schedule.weeks.length) + schedule.weeks.length) % schedule.weeks.length;
+  }
+  return Number(schedule.weeks[weekIdx][dateObj.getDay()]) || 0;
+}
+
+// The employee's usual full day: the longest scheduled day in the rotation
+function usualDayHours(schedule) {
+  let max = 0;
+  (schedule ? schedule.weeks : []).forEach(w => w.forEach(h => { if (h > max) max = h; }));
+  return max || 8;
+}
+
+// Regular hours expected on a date: the scheduled hours, or the usual full day when the date is a scheduled day off
+function regularHoursFor(persNo, dateObj) {
+  const schedule = getScheduleFor(persNo);
+  return scheduledHours(schedule, dateObj) || usualDayHours(schedule);
+}
+
+// Working day for this schedule: a business day (not weekend/holiday) with scheduled hours
+function isScheduledWorkDay(schedule, dateObj) {
+  return isBusinessDay(dateObj) && scheduledHours(schedule, dateObj) > 0;
+}
+
+// Expand Oracle rows into one row per leave day, using the work schedule of persNo (or the default schedule).
+// A To Date that could not be read (left as text) or falls before the From Date is warned about and ignored.
+function expandOracleEntries(oracleRows, persNo) {
   const expanded = [];
+  oracleRangeWarnings = [];
   oracleRows.forEach(row => {
+    // rows from a multi-employee Oracle file carry their own Pers No
+    const rowPers = row['Pers No'] !== undefined ? row['Pers No'] : persNo;
+    const schedule = getScheduleFor(rowPers);
+    const fullDay = usualDayHours(schedule);
+    const base = rowPers !== undefined && rowPers !== null && String(rowPers).trim() !== '' ? {'Pers No': String(rowPers).trim()} : {};
+    // each leave day keeps the index of the row it came from
+    if (row.index !== undefined) base.index = row.index;
     let hours = Number(row['Oracle Hours']) || 0;
     let date = row['Date'];
+    const toDate = row['To Date'];
     const leaveCode = row['Oracle Leave Code'];
     if (!date) return;
-    if (hours <= 8) {
-      expanded.push({...row, 'Oracle Hours': hours, 'Date': date});
+    // Rows carrying a To Date are spread over the scheduled working days of their actual range
+    if (toDate instanceof Date && toDate.getTime() >= date.getTime()) {
+      const spread = distributeRangeHours(date, toDate, hours, schedule);
+      spread.days.forEach(d => expanded.push({...base, 'Date': d.date, 'Oracle Hours': d.hours, 'Oracle Leave Code': leaveCode}));
+      if (spread.warning) oracleRangeWarnings.push(`Oracle leave ${leaveCode} from ${formattedDateForDisplay(date)} to ${formattedDateForDisplay(toDate)}: ${spread.warning}`);
+      return;
+    }
+    if (toDate instanceof Date) oracleRangeWarnings.push(`Oracle leave ${leaveCode} from ${formattedDateForDisplay(date)}: To Date ${formattedDateForDisplay(toDate)} is before the From Date, so the hours were read from the From Date on.`);
+    else if (toDate !== undefined) oracleRangeWarnings.push(`Oracle leave ${leaveCode} from ${formattedDateForDisplay(date)}: To Date "${toDate}" could not be read, so the hours were read from the From Date on.`);
+    if (hours <= (scheduledHours(schedule, date) || fullDay)) {
+      expanded.push({...base, 'Date': date, 'Oracle Hours': hours, 'Oracle Leave Code': leaveCode});
     } else {
       let remaining = hours;
       let currentDate = new Date(date.getFullYear(), date.getMonth(), date.getDate());
       while (remaining > 0) {
-        // find next business day
-        while (!isBusinessDay(currentDate)) {
-          currentDate = new Date(currentDate.getTime() + 24*60*60*1000);
+        // find next scheduled working day
+        while (!isScheduledWorkDay(schedule, currentDate)) {
+          currentDate = addDays(currentDate, 1);
         }
-        const dayHours = Math.min(8, remaining);
-        expanded.push({'Date': new Date(currentDate.getFullYear(), currentDate.getMonth(), currentDate.getDate()), 'Oracle Hours': dayHours, 'Oracle Leave Code': leaveCode});
-        remaining -= dayHours;
-        currentDate = new Date(currentDate.getTime() + 24*60*60*1000);
+        const dayHours = Math.min(scheduledHours(schedule, currentDate), remaining);
+        expanded.push({...base, 'Date': new Date(currentDate.getFullYear(), currentDate.getMonth(), currentDate.getDate()), 'Oracle Hours': dayHours, 'Oracle Leave Code': leaveCode});
+        remaining = Math.round((remaining - dayHours) * 100) / 100;
+        currentDate = addDays(currentDate, 1);
       }
     }
   });
   return expanded;
 }
 
-/* -------------------- Leave Codes whitelist loader -------------------- */
-async function loadLeaveCodeWhitelist() {
-  // Try several candidate paths relative to the server root where the app is served.
-  const candidates = [
-    './sample_data/Leave_Codes - Actual Leave.xlsx'
+// Spread the hours recorded against an Oracle From/To range over the scheduled working days it covers.
+// When the hours equal the scheduled total, each day gets its scheduled hours; otherwise an even split is used
+// when it lands on quarter hours (e.g. 37.5 h over 5 days), else days are filled in order with their scheduled
+// hours and the remainder goes to the last day. Returns { days: [{date, hours}], warning }, where warning is set
+// when the hours overflow the range or leave whole working days of it unused.
+function distributeRangeHours(fromDate, toDate, hours, schedule) {
+  const days = [];
+  for (let d = new Date(fromDate.getFullYear(), fromDate.getMonth(), fromDate.getDate()); d.getTime() <= toDate.getTime(); d = addDays(d, 1)) {
+    if (isScheduledWorkDay(schedule, d)) days.push(d);
+  }
+  const fmt = n => Number(n).toFixed(2);
+  if (days.length === 0) {
+    // keep the hours on the From Date so they still appear in the reconciliation
+    return { days: [{ date: new Date(fromDate.getFullYear(), fromDate.getMonth(), fromDate.getDate()), hours: hours }], warning: `${fmt(hours)} h recorded but the range has no scheduled working days.` };
+  }
+  const dayHours = days.map(d => scheduledHours(schedule, d));
+  const capacity = dayHours.reduce((a, b) => a + b, 0);
+  let alloc;
+  const even = hours / days.length;
+  if (Math.abs(hours - capacity) < 0.01) {
+    alloc = dayHours.slice();
+  } else if (Math.abs(even * 4 - Math.round(even * 4)) < 1e-9) {
+    alloc = days.map(() => even);
+  } else {
+    let remaining = hours;
+    alloc = dayHours.map(h => { const take = Math.min(h, remaining); remaining = Math.round((remaining - take) * 100) / 100; return take; });
+    if (remaining > 0) alloc[alloc.length - 1] += remaining;
+  }
+  let warning = null;
+  if (hours > capacity + 0.001) warning = `${fmt(hours)} h recorded but the range has ${days.length} working day${days.length === 1 ? '' : 's'} (at most ${fmt(capacity)} h scheduled).`;
+  else if (hours <= capacity - Math.min.apply(null, dayHours)) warning = `${fmt(hours)} h recorded do not cover the ${days.length} working days in the range.`;
+  const out = [];
+  days.forEach((d, i) => { if (alloc[i] > 0) out.push({ date: d, hours: alloc[i] }); });
+  return { days: out, warning: warning };
+}
+
+/* -------------------- Hours comparison policy -------------------- */
+// How two hour values are compared when reconciling and when checking CATs day totals: both are rounded to the
+// policy's step (none for exact) and then count as equal when they differ by no more than the tolerance.
+// The tolerance absorbs floating-point artifacts from Excel (7.4999999 vs 7.5). Kept in localStorage.
+const HOURS_POLICY_KEY = 'leave_reconcile_hours_policy';
+const hoursRoundings = {
+  exact: { label: 'Exact', step: 0 },
+  quarter: { label: 'Nearest 0.25 h', step: 0.25 },
+  half: { label: 'Nearest 0.5 h', step: 0.5 }
+};
+const defaultHoursTolerance = 0.01;
+let hoursPolicy = { rounding: 'exact', tolerance: defaultHoursTolerance };
+
+// A tolerance that is not a number or is negative falls back to the default
+function hoursToleranceOf(value) {
+  const t = Number(value);
+  return isNaN(t) || t < 0 ? defaultHoursTolerance : t;
+}
+
+function loadHoursPolicy() {
+  hoursPolicy = { rounding: 'exact', tolerance: defaultHoursTolerance };
+  try {
+    const raw = localStorage.getItem(HOURS_POLICY_KEY);
+    if (!raw) return;
+    const saved = JSON.parse(raw);
+    hoursPolicy = {
+      rounding: hoursRoundings[saved && saved.rounding] ? saved.rounding : 'exact',
+      tolerance: hoursToleranceOf(saved && saved.tolerance)
+    };
+  } catch (e) {
+    console.warn('Failed to load hours comparison policy', e);
+  }
+}
+
+function setHoursPolicy(rounding, tolerance) {
+  hoursPolicy = { rounding: hoursRoundings[rounding] ? rounding : 'exact', tolerance: hoursToleranceOf(tolerance) };
+  try { localStorage.setItem(HOURS_POLICY_KEY, JSON.stringify(hoursPolicy)); } catch (e) { console.warn('Failed to save hours comparison policy', e); }
+}
+
+// Hours rounded to the policy's step
+function roundHours(hours) {
+  const n = Number(hours) || 0;
+  const step = (hoursRoundings[hoursPolicy.rounding] || hoursRoundings.exact).step;
+  return step ? Math.round(n / step) * step : n;
+}
+
+// Whether two hour values are the same under the hours comparison policy
+function hoursEqual(a, b) {
+  return Math.abs(roundHours(a) - roundHours(b)) <= hoursPolicy.tolerance + 1e-9;
+}
+
+// Human-readable policy, shown on the Reconcile page and written into exports
+function describeHoursPolicy() {
+  const label = (hoursRoundings[hoursPolicy.rounding] || hoursRoundings.exact).label;
+  return `${label}, tolerance ±${hoursPolicy.tolerance} h`;
+}
+
+/* -------------------- Reconciliation period -------------------- */
+// The dates a run reconciles, chosen on the Reconcile page: every date in the files, a fiscal year (April 1 to
+// March 31, named by the year it starts in), a fiscal quarter (Q1 = April to June), a calendar month or a custom
+// range (either end may be open). Applied to the extracted rows; rows outside it are reported, not reconciled.
+const PERIOD_SETTINGS_KEY = 'leave_reconcile_period';
+const periodTypes = { all: 'All dates in the files', 'fiscal-year': 'Fiscal year', quarter: 'Fiscal quarter', month: 'Month', custom: 'Custom range' };
+// { type, fiscalYear, quarter (1-4), month ('YYYY-MM'), from / to ('YYYY-MM-DD' or '') }
+let periodSettings = defaultPeriodSettings();
+
+// Fiscal year (the calendar year it starts in) of a date
+function fiscalYearOf(date) {
+  return date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+}
+
+function fiscalYearLabel(fy) {
+  return `FY ${fy}-${String(fy + 1).slice(-2)}`;
+}
+
+function defaultPeriodSettings() {
+  const today = new Date();
+  return {
+    type: 'all',
+    fiscalYear: fiscalYearOf(today),
+    quarter: Math.floor(((today.getMonth() + 9) % 12) / 3) + 1,
+    month: dateKeyOf(today).slice(0, 7),
+    from: '',
+    to: ''
+  };
+}
+
+function loadPeriodSettings() {
+  periodSettings = defaultPeriodSettings();
+  try {
+    const raw = localStorage.getItem(PERIOD_SETTINGS_KEY);
+    if (!raw) return;
+    const saved = JSON.parse(raw);
+    if (saved && periodTypes[saved.type]) {
+      periodSettings = {
+        type: saved.type,
+        fiscalYear: Number(saved.fiscalYear) || periodSettings.fiscalYear,
+        quarter: [1, 2, 3, 4].includes(Number(saved.quarter)) ? Number(saved.quarter) : periodSettings.quarter,
+        month: /^\d{4}-\d{2}$/.test(saved.month || '') ? saved.month : periodSettings.month,
+        from: /^\d{4}-\d{2}-\d{2}$/.test(saved.from || '') ? saved.from : '',
+        to: /^\d{4}-\d{2}-\d{2}$/.test(saved.to || '') ? saved.to : ''
+      };
+    }
+  } catch (e) {
+    console.warn('Failed to load reconciliation period', e);
+  }
+}
+
+function savePeriodSettings() {
+  try { localStorage.setItem(PERIOD_SETTINGS_KEY, JSON.stringify(periodSettings)); } catch (e) { console.warn('Failed to save reconciliation period', e); }
+}
+
+// The selected period as { start, end, label } with 'YYYY-MM-DD' bounds ('' = open), or null for every date
+function reconciliationPeriod() {
+  const p = periodSettings;
+  const key = (y, m, d) => dateKeyOf(new Date(y, m, d));
+  if (p.type === 'fiscal-year') return { start: key(p.fiscalYear, 3, 1), end: key(p.fiscalYear + 1, 2, 31), label: fiscalYearLabel(p.fiscalYear) };
+  if (p.type === 'quarter') {
+    const first = 3 + (p.quarter - 1) * 3;
+    return { start: key(p.fiscalYear, first, 1), end: key(p.fiscalYear, first + 3, 0), label: `Q${p.quarter} ${fiscalYearLabel(p.fiscalYear)}` };
+  }
+  if (p.type === 'month') {
+    const [y, m] = p.month.split('-').map(Number);
+    const months = ['January','February','March','April','May','June','July','August','September','October','November','December'];
+    return { start: key(y, m - 1, 1), end: key(y, m, 0), label: `${months[m - 1]} ${y}` };
+  }
+  if (p.type === 'custom' && (p.from || p.to)) {
+    const show = k => k ? formattedDateForDisplay(new Date(Number(k.slice(0, 4)), Number(k.slice(5, 7)) - 1, Number(k.slice(8, 10)))) : '';
+    const label = p.from && p.to ? `${show(p.from)} to ${show(p.to)}` : (p.from ? `from ${show(p.from)}` : `up to ${show(p.to)}`);
+    return { start: p.from, end: p.to, label };
+  }
+  return null;
+}
+
+function isInPeriod(date, period) {
+  if (!period) return true;
+  const k = dateKeyOf(date);
+  return (!period.start || k >= period.start) && (!period.end || k <= period.end);
+}
+
+// Human-readable period, shown on the Reconcile page and written into exports
+function describeReconciliationPeriod() {
+  const period = reconciliationPeriod();
+  return period ? `${period.label} (${period.start || '…'} to ${period.end || '…'})` : periodTypes.all;
+}
+
+// First and last date of a list of rows with Date values, as { from, to } Dates, or null when there are none
+function dateSpanOf(rows) {
+  let from = null, to = null;
+  rows.forEach(r => {
+    const d = r && (r.Date || r.date);
+    if (!(d instanceof Date) || isNaN(d.getTime())) return;
+    if (!from || d < from) from = d;
+    if (!to || d > to) to = d;
+  });
+  return from ? { from, to } : null;
+}
+
+/* -------------------- Leave code catalogue -------------------- */
+// The leave codes reconciliation cares about, edited on the Settings page and kept in localStorage.
+// Codes whose included flag is set form the whitelist; an empty catalogue means no whitelist (every code is kept).
+// Shipped defaults are the "Actual Leave" list from the Leave Codes spreadsheet.
+const defaultLeaveCatalogue = [
+  { code: '1110', description: 'Annual Leave', category: 'Vacation' },
+  { code: '1210', description: 'Sick -Uncertified', category: 'Sick' },
+  { code: '1220', description: 'Sick -Certified', category: 'Sick' },
+  { code: '1410', description: 'Family Rel -Appointment', category: 'Family related' },
+  { code: '1420', description: 'Family Rel -Illness Fam.', category: 'Family related' },
+  { code: '1430', description: 'Family Rel -Birth', category: 'Family related' },
+  { code: '1440', description: 'Family Rel -Adoption', category: 'Family related' },
+  { code: '1470', description: 'Family Rel-School Func.', category: 'Family related' },
+  { code: '1510', description: 'Bereavement', category: 'Bereavement' },
+  { code: '1511', description: 'Bereavement -Travel', category: 'Bereavement' },
+  { code: '1512', description: 'Bereavement -In Law', category: 'Bereavement' },
+  { code: '1520', description: 'Personal -Marriage', category: 'Personal' },
+  { code: '1540', description: 'Personal Leave', category: 'Personal' },
+  { code: '1810', description: 'Compensatory Leave', category: 'Compensatory' },
+  { code: '1811', description: 'CTO Leave outside HQ area', category: 'Compensatory' }
+];
+// Suggestions offered in the catalogue editor's category field
+const leaveCategories = ['Vacation', 'Sick', 'Family related', 'Bereavement', 'Personal', 'Compensatory', 'Other paid', 'Unpaid', 'Other'];
+
+const LEAVE_CATALOGUE_KEY = 'leave_reconcile_leave_codes';
+// { codes: [{ code, description, category, included }], source }
+let leaveCatalogue = { codes: [], source: '' };
+
+function defaultLeaveCatalogueCodes() {
+  return defaultLeaveCatalogue.map(c => ({ code: c.code, description: c.description, category: c.category, included: true }));
+}
+
+function loadLeaveCatalogue() {
+  leaveCatalogue = { codes: defaultLeaveCatalogueCodes(), source: 'Built-in Actual Leave codes' };
+  try {
+    const raw = localStorage.getItem(LEAVE_CATALOGUE_KEY);
+    if (!raw) return;
+    const saved = JSON.parse(raw);
+    if (saved && Array.isArray(saved.codes)) {
+      leaveCatalogue = {
+        codes: saved.codes.filter(c => c && c.code).map(c => ({ code: String(c.code), description: String(c.description || ''), category: String(c.category || ''), included: c.included !== false })),
+        source: saved.source || ''
+      };
+    }
+  } catch (e) {
+    console.warn('Failed to load leave code catalogue', e);
+  }
+}
+
+// Persist the catalogue (entries still waiting for a code are skipped) and refresh the whitelist
+function saveLeaveCatalogue() {
+  const saved = { codes: leaveCatalogue.codes.filter(c => c.code !== ''), source: leaveCatalogue.source };
+  try { localStorage.setItem(LEAVE_CATALOGUE_KEY, JSON.stringify(saved)); } catch (e) { console.warn('Failed to save leave code catalogue', e); }
+  leaveCodeWhitelist = catalogueWhitelist();
+}
+
+// Catalogue entry for a leave code (digits compared, so '01110' finds '1110'), or null
+function getLeaveCode(code) {
+  const digits = String(code === null || code === undefined ? '' : code).replace(/\D+/g, '');
+  if (digits === '') return null;
+  return leaveCatalogue.codes.find(c => c.code === digits) || null;
+}
+
+// Description of a leave code: the catalogue's, else the text the source files gave it ('' when unknown)
+function leaveCodeDescription(code) {
+  const entry = getLeaveCode(code);
+  if (entry && entry.description) return entry.description;
+  const digits = String(code === null || code === undefined ? '' : code).replace(/\D+/g, '');
+  return (digits && sourceLeaveDescriptions[digits]) || '';
+}
+
+// Remember the text a source file gives a leave code (first one wins)
+function rememberLeaveDescription(code, text) {
+  const digits = String(code === null || code === undefined ? '' : code).replace(/\D+/g, '');
+  const t = String(text === null || text === undefined ? '' : text).trim();
+  if (digits && digits !== '0' && t && !sourceLeaveDescriptions[digits]) sourceLeaveDescriptions[digits] = t;
+}
+
+// Read a Leave Codes spreadsheet (A/Atype and Att./abs. type text columns; Category and Included are optional
+// and written by the catalogue export) from the sheets returned by readSourceFile. Throws when no sheet has an A/Atype column.
+function parseLeaveCodeSheets(sheets) {
+  const isCodeHeader = h => /^a\/?a\s*-?\s*type$/i.test(String(h || '').replace(/\s+/g, '')) || /^(code|leave code)$/i.test(String(h || '').trim());
+  for (const sheet of sheets) {
+    const rows = sheet.rows || [];
+    const headerIdx = rows.findIndex(r => r && r.some(isCodeHeader));
+    if (headerIdx < 0) continue;
+    const headers = rows[headerIdx].map(h => (h === null || h === undefined) ? '' : String(h).trim());
+    const codeCol = headers.findIndex(isCodeHeader);
+    const textCol = headers.findIndex(h => /type text|description/i.test(h));
+    const categoryCol = headers.findIndex(h => /^category$/i.test(h));
+    const includedCol = headers.findIndex(h => /^included$/i.test(h));
+    const codes = [];
+    rows.slice(headerIdx + 1).forEach(r => {
+      if (!r) return;
+      const code = String(r[codeCol] === null || r[codeCol] === undefined ? '' : r[codeCol]).replace(/\D+/g, '');
+      if (code === '' || codes.some(c => c.code === code)) return;
+      const included = includedCol >= 0 ? !/^(no|n|false|0)$/i.test(String(r[includedCol] === null || r[includedCol] === undefined ? '' : r[includedCol]).trim()) : true;
+      codes.push({
+        code: code,
+        description: textCol >= 0 && r[textCol] !== null && r[textCol] !== undefined ? String(r[textCol]).trim() : '',
+        category: categoryCol >= 0 && r[categoryCol] !== null && r[categoryCol] !== undefined ? String(r[categoryCol]).trim() : '',
+        included: included
+      });
+    });
+    if (codes.length > 0) return codes;
+  }
+  throw new Error('No leave codes found. The file needs an "A/Atype" column with the leave codes and, optionally, an "Att./abs. type text" description column.');
+}
+
+// Download the catalogue in the Leave Codes spreadsheet layout, plus its Category and Included columns
+function downloadLeaveCatalogue() {
+  const ws_data = [['A/Atype', 'Att./abs. type text', 'Category', 'Included']];
+  leaveCatalogue.codes.forEach(c => ws_data.push([c.code, c.description, c.category, c.included ? 'Yes' : 'No']));
+  const wb = XLSX.utils.book_new();
+  const ws = XLSX.utils.aoa_to_sheet(ws_data);
+  XLSX.utils.book_append_sheet(wb, ws, 'Leave Codes');
+  const wbout = XLSX.write(wb, {bookType:'xlsx', type:'array'});
+  const blob = new Blob([wbout], {type:'application/octet-stream'});
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a'); a.href = url; a.download = `Leave_Codes_${todayKey()}.xlsx`; document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
+}
+
+// The included codes of the catalogue, or null when none are (no whitelist)
+function catalogueWhitelist() {
+  const codes = new Set(leaveCatalogue.codes.filter(c => c.included && c.code !== '').map(c => c.code));
+  return codes.size > 0 ? codes : null;
+}
+
+// Build the leave-code whitelist from the saved catalogue
+function loadLeaveCodeWhitelist() {
+  loadLeaveCatalogue();
+  leaveCodeWhitelist = catalogueWhitelist();
+}
+
+/* -------------------- Exclusion filter rules -------------------- */
+// Rules that drop leave rows before reconciliation, edited on the Settings page and kept in localStorage.
+// type: 'prefix' (code starts with value), 'exact' (code is one of the comma-separated values in value),
+// 'range' (numeric code from value to to, inclusive) or 'description' (leave description matches the
+// regular expression in value, ignoring case). scope: 'drmis', 'oracle' or 'both'.
+// DRMIS rules see the file's A/A type; Oracle rules see the code after the code mapping.
+const FILTER_RULES_KEY = 'leave_reconcile_filter_rules';
+const filterRuleTypes = { prefix: 'Code starts with', exact: 'Code is', range: 'Code between', description: 'Description matches' };
+const filterRuleScopes = { both: 'DRMIS and Oracle', drmis: 'DRMIS', oracle: 'Oracle' };
+// [{ id, type, value, to, scope, note }]
+let filterRules = defaultFilterRules();
+
+// Defaults: the exclusions that used to be hard-coded in the extractors
+function defaultFilterRules() {
+  return [
+    { id: 'drmis-30', type: 'prefix', value: '30', to: '', scope: 'drmis', note: 'DRMIS 30xx types are not leave' },
+    { id: 'oracle-exact', type: 'exact', value: '1200, 1260, 1261, 1660', to: '', scope: 'oracle', note: 'Oracle codes not reconciled' }
   ];
-  for (let p of candidates) {
-    try {
-      const url = encodeURI(p);
-      const resp = await fetch(url, { method: 'GET' });
-      if (!resp.ok) continue;
-      const ab = await resp.arrayBuffer();
-      const wb = XLSX.read(new Uint8Array(ab), { type: 'array' });
-      const sheet = wb.Sheets[wb.SheetNames[0]];
-      if (!sheet) continue;
-      const rows = XLSX.utils.sheet_to_json(sheet, { header: 1 });
-      if (!rows || rows.length === 0) continue;
-      const headers = rows[0].map(h => h === null || h === undefined ? '' : String(h).trim());
-      // find a header matching A/AType variants (case-insensitive)
-      const idx = headers.findIndex(h => /a\/?a?type/i.test(h.replace(/\s+/g,'')) || /a\/atype/i.test(h.toLowerCase()));
-      const colIndex = idx >= 0 ? idx : headers.findIndex(h => /a\/?atype/i.test(h.toLowerCase()));
-      const codes = new Set();
-      if (colIndex >= 0) {
-        for (let i = 1; i < rows.length; i++) {
-          const v = rows[i][colIndex];
-          if (v === null || v === undefined) continue;
-          const s = String(v).trim();
-          if (s === '') continue;
-          // normalize to digits-only string for consistent matching
-          const norm = String(s).replace(/\D+/g, '');
-          if (norm === '') continue;
-          codes.add(norm);
-        }
-      } else {
-        // fallback: try first column
-        for (let i = 1; i < rows.length; i++) {
-          const v = rows[i][0];
-          if (v === null || v === undefined) continue;
-          const s = String(v).trim();
-          if (s === '') continue;
-          const norm = String(s).replace(/\D+/g, '');
-          if (norm === '') continue;
-          codes.add(norm);
-        }
-      }
-      if (codes.size > 0) {
-        leaveCodeWhitelist = codes;
-        console.info('Loaded leave-code whitelist from', p, 'entries:', codes.size);
-        return;
-      }
-    } catch (e) {
-      // ignore and try next candidate
-      // console.debug('leave whitelist load failed for', p, e);
+}
+
+function loadFilterRules() {
+  filterRules = defaultFilterRules();
+  try {
+    const raw = localStorage.getItem(FILTER_RULES_KEY);
+    if (!raw) return;
+    const saved = JSON.parse(raw);
+    if (Array.isArray(saved)) {
+      filterRules = saved.filter(r => r && filterRuleTypes[r.type]).map((r, i) => ({
+        id: String(r.id || ('rule-' + i)), type: r.type, value: String(r.value || ''), to: String(r.to || ''),
+        scope: filterRuleScopes[r.scope] ? r.scope : 'both', note: String(r.note || '')
+      }));
     }
+  } catch (e) {
+    console.warn('Failed to load filter rules', e);
   }
-  // if none found, leave as null
-  leaveCodeWhitelist = null;
+}
+
+function saveFilterRules() {
+  try { localStorage.setItem(FILTER_RULES_KEY, JSON.stringify(filterRules)); } catch (e) { console.warn('Failed to save filter rules', e); }
+}
+
+// Readable form of a rule, e.g. "DRMIS: code starts with 30"
+function describeFilterRule(rule) {
+  const what = rule.type === 'range' ? `${filterRuleTypes.range.toLowerCase()} ${rule.value} and ${rule.to}`
+    : rule.type === 'description' ? `${filterRuleTypes.description.toLowerCase()} /${rule.value}/`
+    : `${filterRuleTypes[rule.type].toLowerCase()} ${rule.value}`;
+  return `${filterRuleScopes[rule.scope] || filterRuleScopes.both}: ${what}`;
+}
+
+// First rule in scope for source ('drmis' or 'oracle') that drops a row with this normalized code and
+// description, or null. Rules with an invalid regular expression or empty value never match.
+function matchFilterRule(source, code, description) {
+  const c = String(code === null || code === undefined ? '' : code).trim();
+  const desc = String(description === null || description === undefined ? '' : description);
+  return filterRules.find(rule => {
+    if (rule.scope !== 'both' && rule.scope !== source) return false;
+    const value = String(rule.value || '').trim();
+    if (value === '') return false;
+    if (rule.type === 'prefix') return c.startsWith(value);
+    if (rule.type === 'exact') return value.split(/[\s,;]+/).filter(Boolean).includes(c);
+    if (rule.type === 'range') {
+      const n = Number(c), from = Number(value), to = Number(String(rule.to || '').trim() || value);
+      return c !== '' && !isNaN(n) && !isNaN(from) && !isNaN(to) && n >= Math.min(from, to) && n <= Math.max(from, to);
+    }
+    if (rule.type === 'description') {
+      try { return desc !== '' && new RegExp(value, 'i').test(desc); } catch (e) { return false; }
+    }
+    return false;
+  }) || null;
+}
+
+/* -------------------- Oracle to DRMIS code mapping -------------------- */
+// Oracle leave codes (or descriptions such as "Vacation") mapped to DRMIS A/A types, edited on the Settings page.
+// Several Oracle entries may map to the same A/A type. prefixThreeDigit keeps the original rule for codes not in
+// the table: a 3-digit Oracle code becomes '1' + code (110 -> 1110); 4-digit codes are taken as DRMIS codes.
+const CODE_MAPPING_KEY = 'leave_reconcile_code_mapping';
+// { entries: [{ oracle, drmis }], prefixThreeDigit }
+let codeMappingSettings = { entries: [], prefixThreeDigit: true };
+
+// Defaults: the 3-digit form of every built-in catalogue code, i.e. what the prefix rule produces
+function defaultCodeMapping() {
+  return {
+    entries: defaultLeaveCatalogue.filter(c => /^1\d{3}$/.test(c.code)).map(c => ({ oracle: c.code.slice(1), drmis: c.code })),
+    prefixThreeDigit: true
+  };
+}
+
+function loadCodeMapping() {
+  codeMappingSettings = defaultCodeMapping();
+  try {
+    const raw = localStorage.getItem(CODE_MAPPING_KEY);
+    if (!raw) return;
+    const saved = JSON.parse(raw);
+    if (saved && Array.isArray(saved.entries)) {
+      codeMappingSettings = {
+        entries: saved.entries.filter(e => e && e.oracle).map(e => ({ oracle: String(e.oracle), drmis: String(e.drmis || '') })),
+        prefixThreeDigit: saved.prefixThreeDigit !== false
+      };
+    }
+  } catch (e) {
+    console.warn('Failed to load code mapping', e);
+  }
+}
+
+function saveCodeMapping() {
+  const saved = { entries: codeMappingSettings.entries.filter(e => String(e.oracle).trim() !== ''), prefixThreeDigit: codeMappingSettings.prefixThreeDigit };
+  try { localStorage.setItem(CODE_MAPPING_KEY, JSON.stringify(saved)); } catch (e) { console.warn('Failed to save code mapping', e); }
+}
+
+// Comparable form of an Oracle code or description: a value of digits only is a code and drops its leading
+// zeros ('0110' is '110'); anything else is compared as lower-case text ('Sick 2 days' stays text)
+function codeMappingKey(value) {
+  const s = String(value === null || value === undefined ? '' : value).trim();
+  if (/^\d+$/.test(s)) return s.replace(/^0+(?=\d)/, '');
+  return s.toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Convert an Oracle leave code (with its description, when the export has one) to the DRMIS A/A type it is
+// compared with. Returns { code, how } where how is 'table', 'rule' (not in the table; a 3-digit code prefixed with 1
+// or a 4-digit code kept as is), 'none' (no code) or 'unmapped' (not covered by the table or the rule; the code's
+// digits, or its text, are used as-is). Leading zeros are ignored.
+function mapOracleCode(codeRaw, descriptionRaw) {
+  const s = String(codeRaw === null || codeRaw === undefined ? '' : codeRaw).trim();
+  const find = value => {
+    const key = codeMappingKey(value);
+    if (key === '') return null;
+    return codeMappingSettings.entries.find(e => String(e.drmis || '').trim() !== '' && codeMappingKey(e.oracle) === key) || null;
+  };
+  const byCode = (s === '' || s === '-') ? null : find(s);
+  if (byCode) return { code: String(byCode.drmis).trim(), how: 'table' };
+  const byDescription = find(descriptionRaw);
+  if (byDescription) return { code: String(byDescription.drmis).trim(), how: 'table' };
+  if (s === '' || s === '-') return { code: '0', how: 'none' };
+  const digits = s.replace(/\D+/g, '').replace(/^0+(?=\d)/, '');
+  if (digits === '') return { code: s, how: 'unmapped' };
+  if (digits.length === 3 && codeMappingSettings.prefixThreeDigit) return { code: '1' + digits, how: 'rule' };
+  if (digits.length === 4) return { code: digits, how: 'rule' };
+  return { code: digits, how: 'unmapped' };
+}
+
+/* -------------------- Leave code equivalence groups -------------------- */
+// Groups of DRMIS leave codes whose differences are bookkeeping noise, e.g. certified and uncertified sick leave
+// when the certificate arrives after the leave was entered. A line whose two codes differ but fall in the same
+// group, with the same hours, is a soft mismatch: shown in the results but left out of the CATs edits by default.
+const CODE_GROUPS_KEY = 'leave_reconcile_code_groups';
+// [{ id, name, codes: ['1210', '1220'] }]
+let codeEquivalenceGroups = defaultCodeEquivalenceGroups();
+
+function defaultCodeEquivalenceGroups() {
+  return [{ id: 'sick', name: 'Sick leave', codes: ['1210', '1220'] }];
+}
+
+function loadCodeEquivalenceGroups() {
+  codeEquivalenceGroups = defaultCodeEquivalenceGroups();
+  try {
+    const raw = localStorage.getItem(CODE_GROUPS_KEY);
+    if (!raw) return;
+    const saved = JSON.parse(raw);
+    if (Array.isArray(saved)) {
+      codeEquivalenceGroups = saved.filter(g => g && Array.isArray(g.codes)).map((g, i) => ({
+        id: String(g.id || ('group-' + i)), name: String(g.name || ''), codes: g.codes.map(c => String(c).replace(/\D+/g, '')).filter(Boolean)
+      }));
+    }
+  } catch (e) {
+    console.warn('Failed to load leave code equivalence groups', e);
+  }
+}
+
+function saveCodeEquivalenceGroups() {
+  try { localStorage.setItem(CODE_GROUPS_KEY, JSON.stringify(codeEquivalenceGroups)); } catch (e) { console.warn('Failed to save leave code equivalence groups', e); }
+}
+
+// The equivalence group holding both leave codes, or null (also null for the same code twice)
+function equivalenceGroupOf(codeA, codeB) {
+  const a = String(codeA === null || codeA === undefined ? '' : codeA).replace(/\D+/g, '');
+  const b = String(codeB === null || codeB === undefined ? '' : codeB).replace(/\D+/g, '');
+  if (!a || !b || a === b) return null;
+  return codeEquivalenceGroups.find(g => g.codes.includes(a) && g.codes.includes(b)) || null;
 }
 
 function applyColumnMappingToObjects(objects, mappings) {
@@ -354,7 +1612,61 @@ function applyColumnMappingToObjects(objects, mappings) {
 }
 
 /* -------------------- Extraction functions ported from Python -------------------- */
-function extractDrmisData(rowsObjects) {
+// Why extraction leaves a source row out, as listed in the excluded-rows report
+const exclusionKinds = {
+  'no-date': 'No date',
+  'unreadable-date': 'Unreadable date',
+  rule: 'Filter rule',
+  'no-code': 'No leave code',
+  'not-included': 'Code not included in the catalogue',
+  'unknown-code': 'Code not in the catalogue',
+  'out-of-period': 'Outside the reconciliation period'
+};
+
+// Record a dropped row of source ('drmis' or 'oracle'); the reason defaults to the kind's label
+function excludeRow(source, kind, row) {
+  extractionExclusions[source].push(Object.assign({ date: null, code: '', description: '', hours: 0, ruleId: '', reason: exclusionKinds[kind] }, row, { kind }));
+}
+
+// Exclusion kind for a code the leave code whitelist rejects: blank, switched off in the catalogue, or unknown
+function whitelistExclusionKind(code) {
+  if (code === '0') return 'no-code';
+  return getLeaveCode(code) ? 'not-included' : 'unknown-code';
+}
+
+// Leave codes missing from the catalogue among the excluded rows, per system and code:
+// [{ source ('DRMIS' or 'Oracle'), code, description, rows, hours }]
+function summarizeUnknownCodes(excluded) {
+  const byCode = new Map();
+  (excluded || []).filter(x => x.kind === 'unknown-code').forEach(x => {
+    const source = String(x.source).startsWith('Oracle') ? 'Oracle' : 'DRMIS';
+    const key = source + '|' + x.code;
+    if (!byCode.has(key)) byCode.set(key, { source, code: x.code, description: '', rows: 0, hours: 0 });
+    const u = byCode.get(key);
+    u.rows++;
+    u.hours += Number(x.hours) || 0;
+    if (!u.description && x.description) u.description = String(x.description);
+  });
+  return Array.from(byCode.values()).sort((a, b) => a.code.localeCompare(b.code, undefined, {numeric: true}) || a.source.localeCompare(b.source));
+}
+
+// Exclusion kind for a row without a usable date: a blank cell or one that could not be read, counted
+// against the source's recorded date format
+function noDateKind(source, raw) {
+  if (raw === null || raw === undefined || String(raw).trim() === '') return 'no-date';
+  if (extractionDateFormats[source]) extractionDateFormats[source].unparseable++;
+  return 'unreadable-date';
+}
+
+// Reason for a row whose date cell could not be read
+function noDateReason(raw) {
+  const text = raw === null || raw === undefined ? '' : String(raw).trim();
+  return text === '' ? exclusionKinds['no-date'] : `Unreadable date "${text}"`;
+}
+
+// dateFormat and hoursUnit (optional) override the date format and hours unit detected from the Date and Hours columns.
+// Kept rows carry index, their position in rowsObjects, as the excluded rows do.
+function extractDrmisData(rowsObjects, dateFormat, hoursUnit) {
   // rowsObjects: array of objects keyed by header strings
   if (!rowsObjects || rowsObjects.length === 0) return [];
   // keys lower map
@@ -367,6 +1679,8 @@ function extractDrmisData(rowsObjects) {
   const dateKey = lowerMap['date'] || null;
   const hoursKey = lowerMap['hours'] || null;
   const atypeKey = Object.keys(lowerMap).find(k => k.includes('a/a') && k.includes('type') && !k.includes('text')) ? lowerMap[Object.keys(lowerMap).find(k => k.includes('a/a') && k.includes('type') && !k.includes('text'))] : null;
+  // optional: A/A type text, for description filter rules
+  const atypeTextKey = Object.keys(lowerMap).find(k => k.includes('a/a') && k.includes('type') && k.includes('text')) ? lowerMap[Object.keys(lowerMap).find(k => k.includes('a/a') && k.includes('type') && k.includes('text'))] : null;
 
   const missing = [];
   if (!persNoKey) missing.push('Pers No');
@@ -385,26 +1699,55 @@ function extractDrmisData(rowsObjects) {
     const digits = s.replace(/\D+/g, '');
     return digits === '' ? String(s) : digits;
   }
-  rowsObjects.forEach(r => {
-    const date = normalizeDate(r[dateKey]);
-    if (!date) return; // skip rows with no date
+  extractionExclusions.drmis = [];
+  const format = resolveDateFormat('drmis', rowsObjects.map(r => r[dateKey]), dateFormat).format;
+  const hoursColumn = resolveHoursUnit('drmis', hoursKey, rowsObjects.map(r => r[hoursKey]), hoursUnit);
+  rowsObjects.forEach((r, index) => {
+    const date = normalizeDate(r[dateKey], format);
     const pers = r[persNoKey];
-    const drmisHours = Number(r[hoursKey]) || 0;
     let leaveRaw = r[atypeKey];
     const leaveStr = normalizeLeaveCodeRaw(leaveRaw);
-    // filter out codes starting with 30
-    if (String(leaveStr).startsWith('30')) return;
+    const read = hoursFromCell(r[hoursKey], hoursColumn.unit, regularHoursFor(pers, date));
+    if (!read.ok) hoursColumn.issues.push({ index, value: String(r[hoursKey]), date, code: leaveStr });
+    const drmisHours = read.hours;
+    const description = (atypeTextKey ? r[atypeTextKey] : '') || '';
+    const dropped = { index, pers, date, code: leaveStr, description, hours: drmisHours };
+    // skip rows with no date
+    if (!date) { excludeRow('drmis', noDateKind('drmis', r[dateKey]), Object.assign(dropped, { reason: noDateReason(r[dateKey]) })); return; }
+    // filter rules (Settings page), e.g. codes starting with 30
+    const rule = matchFilterRule('drmis', leaveStr, description);
+    if (rule) {
+      excludeRow('drmis', 'rule', Object.assign(dropped, { ruleId: rule.id, reason: describeFilterRule(rule) }));
+      return;
+    }
     // If a whitelist is loaded, only keep rows whose normalized code is in the whitelist
     if (leaveCodeWhitelist && leaveCodeWhitelist.size>0) {
       const matchCode = (leaveStr === '0') ? '0' : String(leaveStr).replace(/\D+/g,'');
-      if (!leaveCodeWhitelist.has(matchCode)) return;
+      if (!leaveCodeWhitelist.has(matchCode)) { excludeRow('drmis', whitelistExclusionKind(matchCode), dropped); return; }
     }
-    out.push({ 'Pers No': pers, 'Date': date, 'Drmis Hours': drmisHours, 'Drmis Leave Code': leaveStr });
+    rememberLeaveDescription(leaveStr, description);
+    out.push({ 'Pers No': pers, 'Date': date, 'Drmis Hours': drmisHours, 'Drmis Leave Code': leaveStr, index });
   });
   return out;
 }
 
-function extractOracleData(rowsObjects) {
+// Comparable form of a Pers No: trimmed text, without leading zeros when it is all digits ('0012345' matches 12345)
+function persKey(value) {
+  const s = (value === undefined || value === null) ? '' : String(value).trim();
+  return /^\d+$/.test(s) ? s.replace(/^0+(?=\d)/, '') : s;
+}
+
+// Header naming an employee number column, e.g. "Pers.No.", "Employee No", "Employee Number", "Emp ID"
+function isEmployeeNumberHeader(header) {
+  const h = String(header || '').toLowerCase().trim();
+  return (h.includes('pers') && h.includes('no')) || /^(employee|emp\.?|person)\s*(no\.?|number|id|#)$/.test(h);
+}
+
+// persNo (optional) is the employee the rows belong to; it selects the work schedule used when expanding
+// multi-day leave and is stamped on every row unless the file has its own employee number column.
+// dateFormat and hoursUnit (optional) override the date format and hours unit detected from the From Date and
+// Hours Recorded columns. Each leave day carries index, the position in rowsObjects of the row it came from.
+function extractOracleData(rowsObjects, persNo, dateFormat, hoursUnit) {
   if (!rowsObjects || rowsObjects.length === 0) return [];
   const keys = Object.keys(rowsObjects[0]);
   const lowerMap = {};
@@ -412,6 +1755,12 @@ function extractOracleData(rowsObjects) {
   const fromDateKey = Object.keys(lowerMap).find(k => k.includes('from') && k.includes('date')) ? lowerMap[Object.keys(lowerMap).find(k => k.includes('from') && k.includes('date'))] : (lowerMap['date'] || null);
   const hoursKey = Object.keys(lowerMap).find(k => k.includes('hours') && k.includes('recorded')) ? lowerMap[Object.keys(lowerMap).find(k => k.includes('hours') && k.includes('recorded'))] : (lowerMap['hours']||null);
   const leaveCodeKey = Object.keys(lowerMap).find(k => k.includes('leave') && k.includes('code')) ? lowerMap[Object.keys(lowerMap).find(k => k.includes('leave') && k.includes('code'))] : null;
+  // optional: employee number column (multi-employee Oracle extracts)
+  const persKey = keys.find(k => isEmployeeNumberHeader(k)) || null;
+  // optional: leave description, used by the code mapping when the code itself isn't mapped
+  const descriptionKey = keys.find(k => { const l = k.toLowerCase().trim(); return l.includes('description') || (l.includes('absence') && l.includes('type')); }) || null;
+  // optional: end of a multi-day leave range
+  const toDateKey = Object.keys(lowerMap).find(k => k.startsWith('to') && k.includes('date')) ? lowerMap[Object.keys(lowerMap).find(k => k.startsWith('to') && k.includes('date'))] : null;
 
   const missing = [];
   if (!fromDateKey) missing.push('From Date');
@@ -420,99 +1769,129 @@ function extractOracleData(rowsObjects) {
   if (missing.length>0) throw new Error('ORACLE file is missing required columns: ' + missing.join(', ') + '. Available columns: ' + keys.join(', '));
 
   const out = [];
-  function normalizeLeaveCodeRawOracle(codeRaw) {
-    if (codeRaw === null || codeRaw === undefined || String(codeRaw).trim() === '' || String(codeRaw).trim() === '-') {
-      return '0';
+  // Oracle codes missing from the code mapping: raw code -> { code, how, rows }
+  const unmapped = new Map();
+  extractionExclusions.oracle = [];
+  const format = resolveDateFormat('oracle', rowsObjects.map(r => r[fromDateKey]), dateFormat).format;
+  const hoursColumn = resolveHoursUnit('oracle', hoursKey, rowsObjects.map(r => r[hoursKey]), hoursUnit);
+  rowsObjects.forEach((r, index) => {
+    const d = normalizeDate(r[fromDateKey], format);
+    const rowPers = persKey && r[persKey] !== null && r[persKey] !== undefined && String(r[persKey]).trim() !== '' ? String(r[persKey]).trim() : persNo;
+    const read = hoursFromCell(r[hoursKey], hoursColumn.unit, regularHoursFor(rowPers, d));
+    if (!read.ok) hoursColumn.issues.push({ index, value: String(r[hoursKey]), date: d, code: r[leaveCodeKey] === null || r[leaveCodeKey] === undefined ? '' : String(r[leaveCodeKey]).trim() });
+    const hours = read.hours;
+    const description = (descriptionKey ? r[descriptionKey] : '') || '';
+    if (!d) {
+      const raw = r[leaveCodeKey];
+      excludeRow('oracle', noDateKind('oracle', r[fromDateKey]), { index, code: raw === null || raw === undefined ? '' : String(raw).trim(), description, hours, reason: noDateReason(r[fromDateKey]) });
+      return;
     }
-    const s = String(codeRaw).trim();
-    const digits = s.replace(/\D+/g, '');
-    return digits === '' ? String(s) : digits;
-  }
-  rowsObjects.forEach(r => {
-    const d = normalizeDate(r[fromDateKey]);
-    if (!d) return;
-    const hours = Number(r[hoursKey]) || 0;
     let code = r[leaveCodeKey];
-    const norm = normalizeLeaveCodeRawOracle(code);
-    // Normalize Oracle code to DRMiS comparable form:
-    // Oracle exports use 3-digit codes (e.g., '110'); for comparison we convert to '1' + code -> '1110'
-    let oracleKey = '0';
-    if (norm === '0') {
-      oracleKey = '0';
-    } else if (String(norm).length === 3) {
-      oracleKey = '1' + String(norm);
-    } else if (String(norm).length === 4) {
-      oracleKey = String(norm);
-    } else {
-      // fallback: if it's other length, keep digits as-is
-      oracleKey = String(norm);
+    // Normalize Oracle code to DRMiS comparable form through the code mapping (e.g. '110' -> '1110')
+    const mapped = mapOracleCode(code, description);
+    const oracleKey = mapped.code;
+    const dropped = { index, date: d, code: String(oracleKey), description, hours };
+    // filter rules (Settings page), e.g. Oracle codes 1200, 1260, 1261, 1660
+    const rule = matchFilterRule('oracle', oracleKey, description);
+    if (rule) {
+      excludeRow('oracle', 'rule', Object.assign(dropped, { ruleId: rule.id, reason: describeFilterRule(rule) }));
+      return;
+    }
+    // codes the table does not list are warned about, unless a filter rule drops them on purpose
+    if (mapped.how === 'unmapped' || mapped.how === 'rule') {
+      const rawKey = String(code).trim();
+      if (!unmapped.has(rawKey)) unmapped.set(rawKey, { code: oracleKey, how: mapped.how, rows: 0 });
+      unmapped.get(rawKey).rows++;
     }
-    // filter codes (retain previous hard-coded exclusions for compatibility)
-    const filtered = ['1200','1260','1261','1660'];
-    if (filtered.includes(String(oracleKey))) return;
     // whitelist filtering: if present, only keep rows whose normalized transformed code is in whitelist
     if (leaveCodeWhitelist && leaveCodeWhitelist.size>0) {
-      if (oracleKey !== '0' && !leaveCodeWhitelist.has(String(oracleKey))) return;
-      if (oracleKey === '0') return; // Oracle rows with missing code are not part of whitelist
+      if (oracleKey !== '0' && !leaveCodeWhitelist.has(String(oracleKey))) { excludeRow('oracle', whitelistExclusionKind(String(oracleKey)), dropped); return; }
+      if (oracleKey === '0') { excludeRow('oracle', 'no-code', dropped); return; } // Oracle rows with missing code are not part of whitelist
     }
-    out.push({ 'Date': d, 'Oracle Hours': hours, 'Oracle Leave Code': String(oracleKey) });
+    rememberLeaveDescription(oracleKey, description);
+    const entry = { 'Date': d, 'Oracle Hours': hours, 'Oracle Leave Code': String(oracleKey), index };
+    // a To Date that cannot be read is kept as its text so expandOracleEntries can warn about it
+    if (toDateKey && r[toDateKey] !== null && r[toDateKey] !== undefined && String(r[toDateKey]).trim() !== '') entry['To Date'] = normalizeDate(r[toDateKey], format) || String(r[toDateKey]).trim();
+    if (persKey && r[persKey] !== null && r[persKey] !== undefined && String(r[persKey]).trim() !== '') entry['Pers No'] = String(r[persKey]).trim();
+    out.push(entry);
   });
 
   // expand multi-day
-  const expanded = expandOracleEntries(out);
+  const expanded = expandOracleEntries(out, persNo);
+  unmapped.forEach((u, raw) => oracleRangeWarnings.push(`Oracle leave code "${raw}" is not in the code mapping (Settings page) and was read as "${u.code}"${u.how === 'rule' ? (u.code === raw ? ' unchanged' : ' by the 3-digit rule') : ''} (${u.rows} row${u.rows === 1 ? '' : 's'}).`));
   return expanded;
 }
 
-function reconcileData(drmisData, oracleData) {
+// Match status of a reconciliation ledger line, in the order the ledger filter chips list them
+const ledgerStatuses = ['Matched', 'Soft mismatch', 'Hours differ', 'Code differs', 'Missing in DRMIS', 'Missing in Oracle'];
+
+function ledgerStatusOf(row) {
+  const oracleCode = String(row['Oracle Leave Code'] || '').trim();
+  const drmisCode = String(row['Drmis Leave Code'] || '').trim();
+  if (oracleCode === drmisCode && hoursEqual(row['Oracle Hours'], row['Drmis Hours'])) return 'Matched';
+  if ((oracleCode === '' || oracleCode === '0') && !Number(row['Oracle Hours'])) return 'Missing in Oracle';
+  if ((drmisCode === '' || drmisCode === '0') && !Number(row['Drmis Hours'])) return 'Missing in DRMIS';
+  // codes of one equivalence group with the same hours (Settings page)
+  if (hoursEqual(row['Oracle Hours'], row['Drmis Hours']) && equivalenceGroupOf(oracleCode, drmisCode)) return 'Soft mismatch';
+  return oracleCode !== drmisCode ? 'Code differs' : 'Hours differ';
+}
+
+// Every merged day/leave-code line of both systems with its match Status, grouped by employee and sorted by date
+function buildReconciliationLedger(drmisData, oracleData) {
   // drmisData: array of objects with Pers No, Date (Date obj), Drmis Hours, Drmis Leave Code
   // oracleData: array of objects with Date (Date obj), Oracle Hours, Oracle Leave Code
-  // Build a key by date string and pers no
+  // Hours are totalled per day, employee and leave code on each side, so a day can hold several leave lines
+  // (e.g. a half-day of vacation plus a half-day of sick leave). Build a key by date string and pers no.
   const map = new Map();
 
-  // Determine a default Pers No to apply to Oracle-only rows. The app reconciles
-  // leave for one person at a time: use the first non-empty Pers No from the DRMIS
-  // data as the default for Oracle rows that don't include Pers No.
-  let defaultPers = '';
-  if (Array.isArray(drmisData) && drmisData.length > 0) {
-    const firstWithPers = drmisData.find(r => r && r['Pers No'] !== undefined && r['Pers No'] !== null && String(r['Pers No']).toString().trim() !== '');
-    if (firstWithPers) defaultPers = String(firstWithPers['Pers No']);
-  }
+  // Oracle rows carry the Pers No of the employee their source was matched to. Rows without one (legacy
+  // single-employee runs) belong to the only employee in the DRMIS data, if there is exactly one.
+  const persOf = p => (p === undefined || p === null) ? '' : String(p).trim();
+  const drmisPers = Array.from(new Set((drmisData || []).map(r => persOf(r && r['Pers No'])).filter(p => p !== '')));
+  let defaultPers = drmisPers.length === 1 ? drmisPers[0] : '';
+  const codeOf = c => (c === undefined || c === null || String(c).trim() === '') ? '0' : String(c).trim();
 
   function keyFor(date, pers) {
-    const d = date instanceof Date ? date.toISOString().split('T')[0] : String(date);
-    return d + '|' + String(pers || '');
+    const d = date instanceof Date ? dateKeyOf(date) : String(date);
+    return d + '|' + persOf(pers);
+  }
+  function dayFor(k, date, pers) {
+    if (!map.has(k)) map.set(k, { Date: date, 'Pers No': pers, drmis: new Map(), oracle: new Map() });
+    return map.get(k);
   }
 
   drmisData.forEach(r => {
-    const k = keyFor(r.Date, r['Pers No']);
-    if (!map.has(k)) map.set(k, { Date: r.Date, 'Pers No': r['Pers No'], 'Drmis Hours': r['Drmis Hours'], 'Drmis Leave Code': r['Drmis Leave Code'], 'Oracle Hours': 0, 'Oracle Leave Code': '' });
-    else {
-      // keep first Drmis Hours and Leave Code if duplicates
-    }
+    const day = dayFor(keyFor(r.Date, r['Pers No']), r.Date, r['Pers No']);
+    const code = codeOf(r['Drmis Leave Code']);
+    day.drmis.set(code, (day.drmis.get(code) || 0) + (Number(r['Drmis Hours']) || 0));
   });
 
   oracleData.forEach(r => {
-    // match by date; if multiple pers, fill empty pers
-    // We'll find existing keys with same date
-    // For simplicity place Oracle rows by date and if there's an existing pers fill that, otherwise create new row with empty pers
-    const dateStr = r.Date.toISOString().split('T')[0];
-    // find any key starting with dateStr + '|'
-    const foundKey = Array.from(map.keys()).find(k => k.startsWith(dateStr + '|'));
-    if (foundKey) {
-      const entry = map.get(foundKey);
-      entry['Oracle Hours'] = r['Oracle Hours'];
-      entry['Oracle Leave Code'] = r['Oracle Leave Code'];
-      map.set(foundKey, entry);
-    } else {
-      // Use defaultPers if available; otherwise leave Pers No empty
-      const persForNew = defaultPers || '';
-      const k = dateStr + '|' + persForNew;
-      map.set(k, { Date: r.Date, 'Pers No': persForNew, 'Drmis Hours': 0, 'Drmis Leave Code': '0', 'Oracle Hours': r['Oracle Hours'], 'Oracle Leave Code': r['Oracle Leave Code'] });
-    }
+    // match on date and the row's employee
+    const pers = persOf(r['Pers No']) || defaultPers;
+    const day = dayFor(keyFor(r.Date, pers), r.Date, pers);
+    const code = codeOf(r['Oracle Leave Code']);
+    day.oracle.set(code, (day.oracle.get(code) || 0) + (Number(r['Oracle Hours']) || 0));
   });
 
-  // Build merged array from map
-  const merged = Array.from(map.values()).map(m => ({
+  // One merged line per leave code present on both sides. Codes found on one side only are paired in code
+  // order with the other side's unmatched codes (a code replaced on that day); any left over stand alone.
+  const lines = [];
+  map.forEach(day => {
+    const line = (oracleCode, oracleHours, drmisCode, drmisHours) => lines.push({ Date: day.Date, 'Pers No': day['Pers No'], 'Oracle Leave Code': oracleCode, 'Oracle Hours': oracleHours, 'Drmis Leave Code': drmisCode, 'Drmis Hours': drmisHours });
+    const byCode = (a, b) => a.localeCompare(b, undefined, {numeric: true});
+    const shared = Array.from(day.oracle.keys()).filter(c => day.drmis.has(c)).sort(byCode);
+    const oracleOnly = Array.from(day.oracle.keys()).filter(c => !day.drmis.has(c)).sort(byCode);
+    const drmisOnly = Array.from(day.drmis.keys()).filter(c => !day.oracle.has(c)).sort(byCode);
+    shared.forEach(c => line(c, day.oracle.get(c), c, day.drmis.get(c)));
+    const paired = Math.min(oracleOnly.length, drmisOnly.length);
+    for (let i = 0; i < paired; i++) line(oracleOnly[i], day.oracle.get(oracleOnly[i]), drmisOnly[i], day.drmis.get(drmisOnly[i]));
+    oracleOnly.slice(paired).forEach(c => line(c, day.oracle.get(c), '0', 0));
+    drmisOnly.slice(paired).forEach(c => line('', 0, c, day.drmis.get(c)));
+  });
+
+  // Build merged array from the leave lines
+  const merged = lines.map(m => ({
     Date: m.Date,
     // Ensure Pers No falls back to defaultPers when empty
     'Pers No': (m['Pers No'] === '' || m['Pers No'] === undefined || m['Pers No'] === null) ? (defaultPers || '') : (Number(m['Pers No']) || m['Pers No']),
@@ -534,7 +1913,6 @@ function reconcileData(drmisData, oracleData) {
     // OracleLeaveCode leave as string
   });
 
-  // Find mismatches where codes or hours differ
   // If a leave-code whitelist is present, filter merged rows to only those codes
   let filteredMerged = merged;
   if (leaveCodeWhitelist && leaveCodeWhitelist.size>0) {
@@ -545,28 +1923,207 @@ function reconcileData(drmisData, oracleData) {
     });
   }
 
-  const mismatches = filteredMerged.filter(r => (String(r['Drmis Leave Code']) !== String(r['Oracle Leave Code'])) || (Number(r['Drmis Hours']) !== Number(r['Oracle Hours'])) ).map(r => ({
+  filteredMerged.forEach(r => { r.Status = ledgerStatusOf(r); });
+
+  // Group by employee, then sort by date and leave code
+  const lineCode = r => String(r['Oracle Leave Code'] || r['Drmis Leave Code']);
+  filteredMerged.sort((a,b)=> String(a['Pers No']).localeCompare(String(b['Pers No']), undefined, {numeric:true}) || (new Date(a.Date) - new Date(b.Date)) || lineCode(a).localeCompare(lineCode(b), undefined, {numeric:true}));
+  return filteredMerged;
+}
+
+// Find mismatches where codes or hours differ: the ledger lines that did not match, flagged for CATs edits
+// unless they are soft mismatches. Day Oracle Hours is the Oracle total of the line's day, matched lines included.
+// Each keeps its ledger Status and whether its day was a weekend or holiday when it was reconciled, so the
+// discrepancy type shown later does not change with the settings (see classifyDiscrepancy).
+function reconcileData(drmisData, oracleData) {
+  const ledger = buildReconciliationLedger(drmisData, oracleData);
+  const dayOf = r => String(r['Pers No']) + '|' + dateKeyOf(r.Date);
+  const dayOracleHours = new Map();
+  ledger.forEach(r => dayOracleHours.set(dayOf(r), (dayOracleHours.get(dayOf(r)) || 0) + (Number(r['Oracle Hours']) || 0)));
+  return ledger.filter(r => r.Status !== 'Matched').map(r => ({
     Date: r.Date,
     'Pers No': r['Pers No'],
     'Oracle Leave Code': r['Oracle Leave Code'],
     'Oracle Hours': r['Oracle Hours'],
     'Drmis Leave Code': r['Drmis Leave Code'],
     'Drmis Hours': r['Drmis Hours'],
-    'Add to CATs Edits': true
+    'Add to CATs Edits': r.Status !== 'Soft mismatch',
+    'Day Oracle Hours': dayOracleHours.get(dayOf(r)),
+    Status: r.Status,
+    'Weekend or Holiday': !isBusinessDay(r.Date)
   }));
+}
+
+// Result rows as objects keyed by header, with the line facts the table does not show (resultData.lines)
+function resultRowObjects(data) {
+  const lines = data.lines || [];
+  return (data.data || []).map((row, i) => {
+    const o = {};
+    data.headers.forEach((h, j) => { o[h] = row[j]; });
+    return Object.assign(o, lines[i] || {});
+  });
+}
+
+/* -------------------- Leave usage by code -------------------- */
+const leaveUsageHeaders = ['Pers No', 'Leave Code', 'Description', 'Month', 'Oracle Hours', 'DRMIS Hours', 'Difference (hours)'];
+
+// Hours each system recorded per employee, leave code and month, from the merged ledger lines, with a Total
+// line closing each code. Difference is Oracle minus DRMIS. Rows follow leaveUsageHeaders.
+function summarizeLeaveUsage(ledgerLines) {
+  const usage = new Map();
+  const add = (pers, code, date, system, hours) => {
+    const c = String(code === null || code === undefined ? '' : code).trim();
+    if (c === '' || c === '0' || !(date instanceof Date)) return;
+    const key = String(pers) + '|' + c;
+    if (!usage.has(key)) usage.set(key, { pers, code: c, months: new Map() });
+    const monthKey = dateKeyOf(date).slice(0, 7);
+    const byMonth = usage.get(key).months;
+    if (!byMonth.has(monthKey)) byMonth.set(monthKey, { label: `${displayMonths[date.getMonth()]} ${date.getFullYear()}`, oracle: 0, drmis: 0 });
+    byMonth.get(monthKey)[system] += Number(hours) || 0;
+  };
+  (ledgerLines || []).forEach(l => {
+    const date = l.Date instanceof Date ? l.Date : new Date(l.Date);
+    add(l['Pers No'], l['Oracle Leave Code'], date, 'oracle', l['Oracle Hours']);
+    add(l['Pers No'], l['Drmis Leave Code'], date, 'drmis', l['Drmis Hours']);
+  });
+  const round = n => Math.round(n * 100) / 100;
+  const rows = [];
+  Array.from(usage.values())
+    .sort((a, b) => String(a.pers).localeCompare(String(b.pers), undefined, {numeric: true}) || a.code.localeCompare(b.code, undefined, {numeric: true}))
+    .forEach(u => {
+      let oracle = 0, drmis = 0;
+      const description = leaveCodeDescription(u.code);
+      Array.from(u.months.keys()).sort().forEach(k => {
+        const m = u.months.get(k);
+        oracle += m.oracle; drmis += m.drmis;
+        rows.push([u.pers, u.code, description, m.label, round(m.oracle), round(m.drmis), round(m.oracle - m.drmis)]);
+      });
+      rows.push([u.pers, u.code, description, 'Total', round(oracle), round(drmis), round(oracle - drmis)]);
+    });
+  return rows;
+}
+
+/* -------------------- Leave anomalies -------------------- */
+// Leave booked where none is expected, flagged on every ledger line (matched or not)
+const leaveAnomalyKinds = {
+  weekend: 'Leave on a weekend',
+  holiday: 'Leave on a holiday',
+  'unscheduled-day': 'Leave on a scheduled day off',
+  'over-day': 'Leave and work exceed the standard day'
+};
+const leaveAnomalyHeaders = ['Date', 'Pers No', 'Anomaly', 'Oracle Leave Code', 'Oracle Hours', 'Drmis Leave Code', 'Drmis Hours', 'Drmis Work Hours', 'Detail'];
+
+// Why a date takes no leave for this employee: { kind, detail } for a holiday, a weekend or a day off in their
+// work schedule, or null on a working day
+function nonWorkingDayOf(persNo, dateObj) {
+  const holiday = getHoliday(dateObj);
+  if (holiday) return { kind: 'holiday', detail: holiday.name };
+  const day = dateObj.getDay();
+  if (day === 0 || day === 6) return { kind: 'weekend', detail: day === 0 ? 'Sunday' : 'Saturday' };
+  const schedule = getScheduleFor(persNo);
+  if (scheduledHours(schedule, dateObj) <= 0) return { kind: 'unscheduled-day', detail: `Day off in ${schedule.label}` };
+  return null;
+}
+
+// DRMIS A/A types that record time worked rather than leave: a blank type, or a 30xx type such as 3001 Regular Time
+function isDrmisWorkCode(code) {
+  const c = (code === undefined || code === null) ? '' : String(code).trim();
+  return c === '' || c === '0' || c.startsWith('30');
+}
 
-  // Sort by date
-  mismatches.sort((a,b)=> new Date(a.Date) - new Date(b.Date));
-  return mismatches;
+// Anomalies among the merged ledger lines. workEntries ([{ pers, date, hours }]) are DRMIS work-time rows
+// (isDrmisWorkCode), kept or excluded; a day whose larger leave total (Oracle or DRMIS) plus those hours is over
+// the employee's regular hours is flagged once. Rows follow leaveAnomalyHeaders.
+function detectLeaveAnomalies(ledgerLines, workEntries) {
+  // the ledger shows Pers No as a number, work entries keep the file's text ('0012345')
+  const persOf = persKey;
+  const isLeave = c => c !== undefined && c !== null && String(c).trim() !== '' && String(c).trim() !== '0';
+  const days = new Map();
+  (ledgerLines || []).forEach(l => {
+    const date = l.Date instanceof Date ? l.Date : new Date(l.Date);
+    if (isNaN(date.getTime()) || !(isLeave(l['Oracle Leave Code']) || isLeave(l['Drmis Leave Code']))) return;
+    const key = persOf(l['Pers No']) + '|' + dateKeyOf(date);
+    if (!days.has(key)) days.set(key, { date, pers: l['Pers No'], lines: [], work: 0 });
+    days.get(key).lines.push(l);
+  });
+  (workEntries || []).forEach(w => {
+    const day = w.date instanceof Date ? days.get(persOf(w.pers) + '|' + dateKeyOf(w.date)) : null;
+    if (day) day.work += Number(w.hours) || 0;
+  });
+  const fmt = n => (Number(n) || 0).toFixed(2);
+  const rows = [];
+  days.forEach(day => {
+    const leaveHours = (codeKey, hoursKey) => day.lines.filter(l => isLeave(l[codeKey])).reduce((sum, l) => sum + (Number(l[hoursKey]) || 0), 0);
+    const display = formattedDateForDisplay(day.date);
+    const off = nonWorkingDayOf(day.pers, day.date);
+    if (off) day.lines.forEach(l => rows.push([display, day.pers, leaveAnomalyKinds[off.kind], l['Oracle Leave Code'], l['Oracle Hours'], l['Drmis Leave Code'], l['Drmis Hours'], day.work, off.detail]));
+    const oracle = leaveHours('Oracle Leave Code', 'Oracle Hours');
+    const drmis = leaveHours('Drmis Leave Code', 'Drmis Hours');
+    const total = Math.max(oracle, drmis) + day.work;
+    const standard = regularHoursFor(day.pers, day.date);
+    if (total > standard && !hoursEqual(total, standard)) {
+      const codes = (codeKey) => Array.from(new Set(day.lines.map(l => l[codeKey]).filter(isLeave).map(String))).join(', ');
+      rows.push([display, day.pers, leaveAnomalyKinds['over-day'], codes('Oracle Leave Code'), oracle, codes('Drmis Leave Code'), drmis, day.work,
+        `${fmt(Math.max(oracle, drmis))} h leave + ${fmt(day.work)} h work = ${fmt(total)} h, standard day ${fmt(standard)} h`]);
+    }
+  });
+  return rows;
+}
+
+/* -------------------- Discrepancy types -------------------- */
+// Discrepancy categories in display order. hours(row) is the leave time a mismatched line puts in question.
+const discrepancyCategories = [
+  { key: 'missing-drmis', label: 'Missing in DRMIS', hours: r => Number(r['Oracle Hours']) || 0 },
+  { key: 'missing-oracle', label: 'Missing in Oracle (zero in DRMIS)', hours: r => Number(r['Drmis Hours']) || 0 },
+  { key: 'code-replaced', label: 'Code replaced', hours: r => Number(r['Oracle Hours']) || 0 },
+  { key: 'soft-mismatch', label: 'Soft mismatch (equivalent codes)', hours: r => Number(r['Oracle Hours']) || 0 },
+  { key: 'partial-hours', label: 'Partial-hours difference', hours: r => Math.abs((Number(r['Oracle Hours']) || 0) - (Number(r['Drmis Hours']) || 0)) },
+  { key: 'weekend-holiday', label: 'Weekend or holiday', hours: r => Math.max(Number(r['Oracle Hours']) || 0, Number(r['Drmis Hours']) || 0) }
+];
+
+// Category keys of a reconciliation line: its main discrepancy type (from the ledger status) plus
+// 'weekend-holiday' when the day is a weekend or a holiday of the selected calendar. Matched lines have none.
+// Lines from reconcileData carry the Status and Weekend or Holiday flag they were reconciled with; lines
+// without them (sessions saved before they were kept) are classified with the current settings.
+function classifyDiscrepancy(row) {
+  const status = row.Status || ledgerStatusOf(row);
+  if (status === 'Matched') return [];
+  const keys = [{ 'Missing in DRMIS': 'missing-drmis', 'Missing in Oracle': 'missing-oracle', 'Code differs': 'code-replaced', 'Soft mismatch': 'soft-mismatch', 'Hours differ': 'partial-hours' }[status]];
+  let nonWorking = row['Weekend or Holiday'];
+  if (typeof nonWorking !== 'boolean') {
+    const d = row.Date instanceof Date ? row.Date : parseDisplayDate(String(row.Date || ''));
+    nonWorking = !!(d && !isNaN(d.getTime()) && !isBusinessDay(d));
+  }
+  if (nonWorking) keys.push('weekend-holiday');
+  return keys;
+}
+
+function discrepancyLabels(keys) {
+  return keys.map(k => (discrepancyCategories.find(c => c.key === k) || { label: k }).label).join(', ');
+}
+
+// Count the lines and total the hours per discrepancy category for rows (objects keyed by result header)
+function summarizeDiscrepancies(rows) {
+  const summary = discrepancyCategories.map(c => ({ key: c.key, label: c.label, count: 0, hours: 0 }));
+  rows.forEach(row => {
+    classifyDiscrepancy(row).forEach(k => {
+      const entry = summary.find(e => e.key === k);
+      const cat = discrepancyCategories.find(c => c.key === k);
+      if (entry && cat) { entry.count++; entry.hours += cat.hours(row); }
+    });
+  });
+  return summary;
 }
 
 function generateCatsEdits(mismatches) {
   const cats = [];
-  for (let row of mismatches) {
-    const reasons = [];
-    if (String(row['Oracle Leave Code']) !== String(row['Drmis Leave Code'])) reasons.push('Code Mismatch');
-    if (Number(row['Oracle Hours']) !== Number(row['Drmis Hours'])) reasons.push('Hours Mismatch');
-    const discrepancy = reasons.join(', ');
+  // each leave line gets its own data-row; the day's lines (consecutive, as the ledger is sorted by employee and
+  // date) share one total-row holding the day's Oracle hours, matched lines included (Day Oracle Hours). Rows
+  // without it, from sessions saved before it was kept, total their own lines.
+  const dayOf = row => String(row['Pers No']) + '|' + formattedDateForDisplay(row.Date);
+  let dayHours = 0;
+  mismatches.forEach((row, i) => {
+    const discrepancy = discrepancyLabels(classifyDiscrepancy(row));
     const dateStr = row.Date instanceof Date ? row.Date.toDateString() : String(row.Date);
 
     // Determine aa_code value
@@ -604,15 +2161,22 @@ function generateCatsEdits(mismatches) {
     const originalDrmisHours = Number(row['Drmis Hours']) || 0;
     const replaced = (oracleCode && String(oracleCode) !== '0' && originalDrmisCode && String(originalDrmisCode) !== '0' && String(oracleCode) !== String(originalDrmisCode));
     cats.push({ pers_no: row['Pers No'] ? Number(row['Pers No']) : '', date: formattedDateForDisplay(row.Date), work_order: '', act: '', aa_code: aa_code_value, hours: hoursValue, discrepancy_reason: discrepancy, row_type: 'data-row', editable: false, original_drmis_code: originalDrmisCode, original_drmis_hours: originalDrmisHours, replaced: replaced });
-    cats.push({ pers_no: '', date: '', work_order: '', act: '', aa_code: 'Total Hours', hours: Number(row['Oracle Hours']) || '', discrepancy_reason: '', row_type: 'total-row', editable: false });
-  }
+    dayHours += Number(row['Oracle Hours']) || 0;
+    const next = mismatches[i + 1];
+    if (!next || dayOf(next) !== dayOf(row)) {
+      const total = row['Day Oracle Hours'] !== undefined ? Number(row['Day Oracle Hours']) || 0 : dayHours;
+      cats.push({ pers_no: '', date: '', work_order: '', act: '', aa_code: 'Total Hours', hours: total || '', discrepancy_reason: '', row_type: 'total-row', editable: false });
+      dayHours = 0;
+    }
+  });
   return cats;
 }
 
+// 'Apr 10, 2025' for a local Date or calendar date ('' when there is none)
 function formattedDateForDisplay(d) {
-  if (!d) return '';
-  const months = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
-  return `${months[d.getMonth()]} ${String(d.getDate()).padStart(2,'0')}, ${d.getFullYear()}`;
+  const cd = toCalendarDate(d);
+  if (!cd) return '';
+  return `${displayMonths[cd.month - 1]} ${String(cd.day).padStart(2,'0')}, ${cd.year}`;
 }
 
 /* -------------------- Page initializers and wiring -------------------- */
@@ -622,8 +2186,20 @@ function initStartPage(){
 
 function initReconciliationPage(){
   loadStateFromSession();
-  // attempt to load leave-code whitelist (non-blocking)
-  loadLeaveCodeWhitelist().catch(e=>console.warn('Failed to auto-load leave-code whitelist', e));
+  loadHolidaySettings();
+  initHolidayCalendarControls();
+  loadScheduleSettings();
+  initScheduleControls();
+  // leave-code whitelist from the catalogue kept on the Settings page
+  loadLeaveCodeWhitelist();
+  loadCodeMapping();
+  loadFilterRules();
+  loadCodeEquivalenceGroups();
+  loadHoursPolicy();
+  initHoursPolicyControls();
+  loadPeriodSettings();
+  initPeriodControls();
+  loadHeaderLayouts();
   // hook up file inputs
   const drmisInput = document.getElementById('drmis_file');
   const oracleInput = document.getElementById('oracle_file');
@@ -645,45 +2221,72 @@ function initReconciliationPage(){
     const file = e.target.files[0];
     drmisName.textContent = file ? file.name : '';
     if (file) {
-      drmisFileData = await readExcelFile(file, 'drmis');
-      // build raw DRMiS lookup for prefill use
-      try { const dr = sheetRowsToObjects(drmisFileData); buildDrmisLookup(dr.rows); } catch(e){ console.warn('Failed to build DRMiS lookup', e); }
-      // show preview button and record count
-      drmisPreviewBtn.style.display = 'inline-block';
-      try { const dr = sheetRowsToObjects(drmisFileData); const drCount = (dr && dr.rows) ? dr.rows.length : 0; document.getElementById('drmis_count').textContent = drCount + (drCount === 1 ? ' record found' : ' records found'); } catch(e){ document.getElementById('drmis_count').textContent = ''; }
-      document.getElementById('sessionInfoBanner').style.display = 'none';
-      // Validate columns immediately and show mapping dialog if needed
-      try {
-        const dr = sheetRowsToObjects(drmisFileData);
-        // attempt extraction to validate presence of required columns
-        extractDrmisData(dr.rows);
-      } catch (err) {
-        // show mapping dialog to user with header info
-        const dr = sheetRowsToObjects(drmisFileData);
-        showColumnMappingDialogClient('DRMIS', err.message, dr);
-      }
+      sourceSheets.drmis = describeWorkbookSheets(await readSourceFile(file, 'drmis'), 'drmis');
+      renderSheetPicker('drmis');
+      loadDrmisRows(sourceSheets.drmis.sheets[sourceSheets.drmis.selectedIndex].rows);
     } else {
-      drmisFileData = null; drmisPreviewBtn.style.display='none'; document.getElementById('drmis_count').textContent = '';
+      drmisFileData = null; drmisPersNos = []; sourceSheets.drmis = null; renderSheetPicker('drmis'); renderSourcePickers('drmis', null); drmisPreviewBtn.style.display='none'; document.getElementById('drmis_count').textContent = '';
     }
   });
 
   oracleInput.addEventListener('change', async function(e){
-    const file = e.target.files[0];
-    oracleName.textContent = file ? file.name : '';
-    if (file) {
-      oracleFileData = await readExcelFile(file, 'oracle');
-      oraclePreviewBtn.style.display = 'inline-block';
-      try { const or = sheetRowsToObjects(oracleFileData); const orCount = (or && or.rows) ? or.rows.length : 0; document.getElementById('oracle_count').textContent = orCount + (orCount === 1 ? ' record found' : ' records found'); } catch(e){ document.getElementById('oracle_count').textContent = ''; }
-      document.getElementById('sessionInfoBanner').style.display = 'none';
-      // Validate columns immediately and show mapping dialog if needed
-      try {
-        const or = sheetRowsToObjects(oracleFileData);
-        extractOracleData(or.rows);
-      } catch (err) {
-        const or = sheetRowsToObjects(oracleFileData);
-        showColumnMappingDialogClient('ORACLE', err.message, or);
+    // several Oracle files can be chosen at once for a batch run (one file per employee)
+    const files = Array.from(e.target.files || []);
+    oracleName.textContent = files.length > 1 ? `${files.length} files selected` : (files[0] ? files[0].name : '');
+    if (files.length) {
+      oracleSources = [];
+      for (const file of files) {
+        const info = describeWorkbookSheets(await readSourceFile(file, 'oracle'), 'oracle');
+        oracleSources.push({ name: file.name, sheetInfo: info, rows: info.sheets[info.selectedIndex].rows, persNo: '' });
       }
-    } else { oracleFileData = null; oraclePreviewBtn.style.display='none'; }
+      selectOracleSource(0, true);
+    } else { oracleFileData = null; oracleSources = []; activeOracleSource = 0; sourceSheets.oracle = null; renderSheetPicker('oracle'); renderSourcePickers('oracle', null); renderOracleSources(); oraclePreviewBtn.style.display='none'; }
+  });
+
+  // date format overrides apply to the selected file and re-read it
+  ['drmis', 'oracle'].forEach(which => {
+    const select = document.getElementById(which + '_date_format_select');
+    if (!select) return;
+    select.addEventListener('change', function(){
+      if (!sourceSheets[which]) return;
+      sourceSheets[which].dateFormat = select.value;
+      if (which === 'drmis') loadDrmisRows(drmisFileData); else loadOracleRows(oracleFileData);
+    });
+  });
+
+  // so do hours unit overrides
+  ['drmis', 'oracle'].forEach(which => {
+    const select = document.getElementById(which + '_hours_unit_select');
+    if (!select) return;
+    select.addEventListener('change', function(){
+      if (!sourceSheets[which]) return;
+      sourceSheets[which].hoursUnit = select.value;
+      if (which === 'drmis') loadDrmisRows(drmisFileData); else loadOracleRows(oracleFileData);
+    });
+  });
+
+  document.getElementById('drmis_sheet').addEventListener('change', function(e){
+    if (!sourceSheets.drmis) return;
+    sourceSheets.drmis.selectedIndex = Number(e.target.value) || 0;
+    renderSheetPicker('drmis');
+    loadDrmisRows(sourceSheets.drmis.sheets[sourceSheets.drmis.selectedIndex].rows);
+  });
+
+  document.getElementById('oracle_sheet').addEventListener('change', function(e){
+    if (!sourceSheets.oracle) return;
+    sourceSheets.oracle.selectedIndex = Number(e.target.value) || 0;
+    renderSheetPicker('oracle');
+    loadOracleRows(sourceSheets.oracle.sheets[sourceSheets.oracle.selectedIndex].rows);
+    renderOracleSources();
+  });
+
+  document.querySelectorAll('.view-btn').forEach(btn => {
+    btn.addEventListener('click', function(){ setResultsView(btn.dataset.view); });
+  });
+  setResultsView(resultsView);
+
+  document.querySelectorAll('.paste-apply-btn').forEach(btn => {
+    btn.addEventListener('click', function(){ applyPastedTable(btn.dataset.source); });
   });
 
   document.getElementById('uploadForm').addEventListener('submit', async function(e){
@@ -694,66 +2297,586 @@ function initReconciliationPage(){
     try {
       // convert sheet arrays to objects
       const dr = sheetRowsToObjects(drmisFileData);
-      const or = sheetRowsToObjects(oracleFileData);
       // Use extracted objects
       const drObjs = dr.rows;
-      const orObjs = or.rows;
       // Attempt to extract using auto-detection; if missing columns, show mapping UI
       let drmisExtracted, oracleExtracted;
+      sourceLeaveDescriptions = {};
       try {
-        drmisExtracted = extractDrmisData(drObjs);
+        drmisExtracted = extractDrmisData(drObjs, dateFormatOverride('drmis'), hoursUnitOverride('drmis'));
       } catch (err) {
         loadingEl.classList.add('hidden');
         // show mapping modal to user: reuse mapping UI idea - but for brevity alert and throw
         showColumnMappingDialogClient('DRMIS', err.message, dr);
         return;
       }
-      try {
-        oracleExtracted = extractOracleData(orObjs);
-      } catch (err) {
-        loadingEl.classList.add('hidden');
-        showColumnMappingDialogClient('ORACLE', err.message, or);
-        return;
+      // date format each file was read with, as recorded by the extractors
+      const dateFormatsUsed = [{ source: 'DRMIS', info: extractionDateFormats.drmis }];
+      // hours column of each file, with the cells that could not be read
+      const hoursColumns = [{ source: 'DRMIS', info: Object.assign({}, extractionHours.drmis, { issues: extractionHours.drmis.issues.map(x => Object.assign({ row: dr.rowNumbers[x.index] }, x)) }) }];
+      // rows dropped during extraction, per source, with their sheet row number
+      const excluded = extractionExclusions.drmis.map(x => Object.assign({ source: 'DRMIS', row: dr.rowNumbers[x.index] }, x));
+      // Oracle exports usually carry no Pers No: match each Oracle source to an employee in the DRMIS data
+      oracleExtracted = [];
+      const batchWarnings = [];
+      const sources = oracleSources.length ? oracleSources : [{ name: 'Oracle file', rows: oracleFileData, persNo: '' }];
+      // Pers No -> names of the sources matched to it
+      const matchedSources = new Map();
+      for (let i = 0; i < sources.length; i++) {
+        let extracted;
+        try {
+          extracted = extractOracleSource(sources[i], drmisExtracted);
+        } catch (err) {
+          loadingEl.classList.add('hidden');
+          if (oracleSources.length > 1) selectOracleSource(i, false);
+          showColumnMappingDialogClient('ORACLE', (sources.length > 1 ? `${sources[i].name}: ` : '') + err.message, sheetRowsToObjects(sources[i].rows));
+          return;
+        }
+        const label = sources.length > 1 ? `Oracle (${sources[i].name})` : 'Oracle';
+        batchWarnings.push(...extracted.warnings);
+        oracleExtracted.push(...extracted.rows.map(r => Object.assign(r, { source: label })));
+        excluded.push(...extracted.excluded.map(x => Object.assign({ source: label }, x)));
+        dateFormatsUsed.push({ source: label, info: extracted.dateFormat });
+        hoursColumns.push({ source: label, info: extracted.hours });
+        if (extracted.persNo) {
+          if (!matchedSources.has(extracted.persNo)) matchedSources.set(extracted.persNo, []);
+          matchedSources.get(extracted.persNo).push(sources[i].name);
+        }
+      }
+      // two sources matched to one employee add up as that employee's leave, so doubled days show as mismatches
+      matchedSources.forEach((names, persNo) => {
+        if (names.length > 1) batchWarnings.push(`Oracle sources ${names.map(n => `"${n}"`).join(', ')} were ${names.length === 2 ? 'both' : 'all'} matched to Pers No ${persNo}; their leave is combined for that employee. If a file belongs to someone else, choose its Pers No on the Reconcile page.`);
+      });
+      // dates each file covers (every dated row, kept or excluded), to warn when they differ
+      const drmisSpan = dateSpanOf(drmisExtracted.concat(excluded.filter(x => x.source === 'DRMIS')));
+      const oracleSpan = dateSpanOf(oracleExtracted.concat(excluded.filter(x => x.source !== 'DRMIS')));
+      // reconciliation period (Reconcile page): rows outside it are listed with the excluded rows, not reconciled
+      const period = reconciliationPeriod();
+      if (period) {
+        const outside = (rows, sourceOf, rowOf, codeKey, hoursKey) => rows.filter(r => !isInPeriod(r.Date, period)).map(r => ({ source: sourceOf(r), row: rowOf(r), date: r.Date, code: String(r[codeKey]), description: leaveCodeDescription(r[codeKey]), hours: Number(r[hoursKey]) || 0, kind: 'out-of-period', ruleId: '', reason: `Outside ${period.label}` }));
+        const drmisOutside = outside(drmisExtracted, () => 'DRMIS', r => dr.rowNumbers[r.index], 'Drmis Leave Code', 'Drmis Hours');
+        const oracleOutside = outside(oracleExtracted, r => r.source, r => r.row, 'Oracle Leave Code', 'Oracle Hours');
+        excluded.push(...drmisOutside, ...oracleOutside);
+        drmisExtracted = drmisExtracted.filter(r => isInPeriod(r.Date, period));
+        oracleExtracted = oracleExtracted.filter(r => isInPeriod(r.Date, period));
+        if (drmisOutside.length || oracleOutside.length) batchWarnings.push(`${drmisOutside.length} DRMIS and ${oracleOutside.length} Oracle leave row${drmisOutside.length + oracleOutside.length === 1 ? '' : 's'} fall outside the reconciliation period (${period.label}) and were not reconciled; they are listed under Excluded rows.`);
+      }
+      // leave near either end of a span only one file covers shows up as missing from the other file
+      if (drmisSpan && oracleSpan && (dateKeyOf(drmisSpan.from) !== dateKeyOf(oracleSpan.from) || dateKeyOf(drmisSpan.to) !== dateKeyOf(oracleSpan.to))) {
+        const from = dateKeyOf(drmisSpan.from > oracleSpan.from ? drmisSpan.from : oracleSpan.from);
+        const to = dateKeyOf(drmisSpan.to < oracleSpan.to ? drmisSpan.to : oracleSpan.to);
+        const common = { start: from, end: to };
+        const uncovered = drmisExtracted.filter(r => !isInPeriod(r.Date, common)).length + oracleExtracted.filter(r => !isInPeriod(r.Date, common)).length;
+        if (uncovered) batchWarnings.push(`The files cover different dates: DRMIS from ${formattedDateForDisplay(drmisSpan.from)} to ${formattedDateForDisplay(drmisSpan.to)}, Oracle from ${formattedDateForDisplay(oracleSpan.from)} to ${formattedDateForDisplay(oracleSpan.to)}. ${uncovered} leave row${uncovered === 1 ? ' falls' : 's fall'} outside the dates both files cover and may show as missing; choose a reconciliation period both files cover.`);
       }
+      // dates that could not be read, or a file mixing day-first and month-first dates
+      dateFormatsUsed.forEach(f => {
+        if (!f.info) return;
+        if (f.info.unparseable) batchWarnings.push(`${f.source}: ${f.info.unparseable} date${f.info.unparseable === 1 ? '' : 's'} could not be read${f.info.format ? ' as ' + dateFormats[f.info.format].label.toLowerCase() : ''}; ${f.info.unparseable === 1 ? 'that row is' : 'those rows are'} listed under Excluded rows.`);
+        if (f.info.mixed && !f.info.overridden) batchWarnings.push(`${f.source} mixes day-first and month-first dates (${f.info.dayFirst} and ${f.info.monthFirst}); they were read as ${dateFormats[f.info.format].label.toLowerCase()}. Check the date format on the Reconcile page.`);
+      });
+      // hours columns in days or Excel times, and hours cells that could not be read (counted as 0 h)
+      hoursColumns.forEach(c => {
+        if (!c.info) return;
+        if (c.info.unit !== 'hours') batchWarnings.push(`${c.source}: the hours column holds ${hoursUnits[c.info.unit]} (${c.info.how}); values were converted to hours${c.info.unit === 'days' ? ' with each employee\'s regular day' : ''}.`);
+        const issues = c.info.issues || [];
+        if (issues.length) {
+          const rowsList = issues.slice(0, 10).map(x => x.row).join(', ') + (issues.length > 10 ? ', …' : '');
+          batchWarnings.push(`${c.source}: ${issues.length} hours value${issues.length === 1 ? '' : 's'} could not be read and count as 0 h (sheet row${issues.length === 1 ? '' : 's'} ${rowsList}).`);
+        }
+      });
+      // leave codes missing from the catalogue are easy to overlook in the excluded rows: warn about each one
+      const unknownCodes = summarizeUnknownCodes(excluded);
+      unknownCodes.forEach(u => batchWarnings.push(`${u.source} leave code ${u.code}${u.description ? ' (' + u.description + ')' : ''} is not in the leave code catalogue: ${u.rows} row${u.rows === 1 ? ' was' : 's were'} left out. Add it on the Settings page to reconcile it.`));
+      oracleRangeWarnings = batchWarnings;
       // reconcile
       const mismatches = reconcileData(drmisExtracted, oracleExtracted);
       // format Date for display
       mismatches.forEach(m => m.Date = formattedDateForDisplay(new Date(m.Date)));
       // build resultData compatible with previous UI
-      const headers = ['Date', 'Pers No', 'Oracle Leave Code', 'Oracle Hours', 'Drmis Leave Code', 'Drmis Hours', 'Add to CATs Edits'];
-      const dataRows = mismatches.map(m => [m.Date, m['Pers No'], m['Oracle Leave Code'], m['Oracle Hours'], m['Drmis Leave Code'], m['Drmis Hours'], m['Add to CATs Edits']]);
-      resultData = { headers: headers, data: dataRows, count: mismatches.length, message: 'Found ' + mismatches.length + ' mismatches' };
+      const headers = ['Date', 'Pers No', 'Oracle Leave Code', 'Oracle Hours', 'Drmis Leave Code', 'Drmis Hours', 'Discrepancy', 'Add to CATs Edits'];
+      const dataRows = mismatches.map(m => [m.Date, m['Pers No'], m['Oracle Leave Code'], m['Oracle Hours'], m['Drmis Leave Code'], m['Drmis Hours'], discrepancyLabels(classifyDiscrepancy(m)), m['Add to CATs Edits']]);
+      // full ledger: every merged day/code line with its match status
+      const ledgerHeaders = ['Date', 'Pers No', 'Oracle Leave Code', 'Oracle Hours', 'Drmis Leave Code', 'Drmis Hours', 'Status'];
+      const ledgerLines = buildReconciliationLedger(drmisExtracted, oracleExtracted);
+      const ledgerRows = ledgerLines.map(l => [formattedDateForDisplay(new Date(l.Date)), l['Pers No'], l['Oracle Leave Code'], l['Oracle Hours'], l['Drmis Leave Code'], l['Drmis Hours'], l.Status]);
+      // hours worked in DRMIS (blank or 30xx A/A types, which the filter rules usually drop), for the standard-day check
+      const drmisWork = drmisExtracted.filter(r => isDrmisWorkCode(r['Drmis Leave Code'])).map(r => ({ pers: r['Pers No'], date: r.Date, hours: r['Drmis Hours'] }))
+        .concat(excluded.filter(x => x.source === 'DRMIS' && x.kind !== 'out-of-period' && x.date instanceof Date && isDrmisWorkCode(x.code)).map(x => ({ pers: x.pers, date: x.date, hours: x.hours })))
+        .filter(w => !period || isInPeriod(w.date, period));
+      const anomalies = detectLeaveAnomalies(ledgerLines, drmisWork);
+      if (anomalies.length) batchWarnings.push(`${anomalies.length} leave anomal${anomalies.length === 1 ? 'y' : 'ies'} (leave on weekends, holidays or days off, or days over the standard hours); see Anomalies.`);
+      resultData = { headers: headers, data: dataRows, lines: mismatches.map(m => ({ 'Day Oracle Hours': m['Day Oracle Hours'], Status: m.Status, 'Weekend or Holiday': m['Weekend or Holiday'] })), count: mismatches.length, message: 'Found ' + mismatches.length + ' mismatches', warnings: oracleRangeWarnings.slice(), holidayCalendar: describeHolidayCalendar(), hoursPolicy: describeHoursPolicy(), period: describeReconciliationPeriod(), ledger: { headers: ledgerHeaders, data: ledgerRows },
+        usage: { headers: leaveUsageHeaders, data: summarizeLeaveUsage(ledgerLines) },
+        anomalies: { headers: leaveAnomalyHeaders, data: anomalies },
+        hoursIssues: hoursColumns.filter(c => c.info).reduce((list, c) => list.concat(c.info.issues.map(x => ({ source: c.source, row: x.row, date: formattedDateForDisplay(x.date), code: x.code, value: x.value }))), []),
+        dateFormats: dateFormatsUsed.filter(f => f.info).map(f => ({ source: f.source, format: f.info.format, signature: f.info.signature, description: describeDateFormat(f.info) })),
+        excluded: excluded.map(x => ({ source: x.source, row: x.row, date: formattedDateForDisplay(x.date), code: x.code, description: x.description, hours: x.hours, kind: x.kind, reason: x.reason, ruleId: x.ruleId })),
+        unknownCodes: unknownCodes,
+        filterRules: filterRules.map(rule => ({ rule: describeFilterRule(rule), note: rule.note, dropped: excluded.filter(x => x.ruleId === rule.id).length })) };
       // save cats edits for later
       // regenerate cats edits using original (unformatted) Date objects: need to re-run reconcile with preserved Date objects; recreate mismatches2
       // We'll reconstruct mismatches2 from reconcilation function using Date objects
       const drmisExtracted2 = drmisExtracted;
       const oracleExtracted2 = oracleExtracted;
       const mismatches2 = reconcileData(drmisExtracted2, oracleExtracted2);
-      catsEditsData = generateCatsEdits(mismatches2);
+      // soft mismatches stay out of the CATs edits until they are ticked
+      catsEditsData = generateCatsEdits(mismatches2.filter(m => m['Add to CATs Edits']));
+
+      saveStateToSession();
+      displayResults(resultData);
+      resultsEl.classList.remove('hidden');
+    } catch (err) {
+      console.error(err);
+      errorEl.textContent = '❌ ' + (err.message || err);
+      errorEl.classList.remove('hidden');
+    } finally {
+      loadingEl.classList.add('hidden');
+    }
+  });
+
+  document.getElementById('downloadResultsBtn').addEventListener('click', function(){
+    // Export the live results table as a styled .xlsx (includes any UI changes)
+    downloadReconciliationXlsxExcelJS();
+  });
+
+  document.getElementById('resetBtn').addEventListener('click', function(){
+    clearClientSideData();
+  });
+
+  document.getElementById('downloadReconciliationBtn').addEventListener('click', function(){ downloadReconciliationXlsxExcelJS(); });
+  document.getElementById('resetFormBtn').addEventListener('click', clearClientSideData);
+}
+
+// Work out which employee an Oracle source belongs to. An explicit choice on the Reconcile page wins, then a
+// DRMIS Pers No appearing in the file name, then the only employee in the DRMIS data, then the employee whose
+// DRMIS leave days overlap the source's leave days the most. Returns { persNo, how } (persNo '' when unmatched).
+function matchOracleSourceToPers(source, oracleRows, drmisExtracted) {
+  const persList = Array.from(new Set(drmisExtracted.map(r => r['Pers No']).filter(p => p !== undefined && p !== null && String(p).trim() !== '').map(p => String(p).trim())));
+  if (source.persNo) return { persNo: String(source.persNo), how: 'chosen' };
+  const nameDigits = String(source.name || '').match(/\d+/g) || [];
+  const byName = persList.find(p => nameDigits.includes(p) || nameDigits.includes(p.replace(/^0+/, '')));
+  if (byName) return { persNo: byName, how: 'file name' };
+  if (persList.length === 1) return { persNo: persList[0], how: 'only employee' };
+  const leaveDays = new Set(oracleRows.map(r => dateKeyOf(r.Date)));
+  let best = '', bestScore = 0;
+  persList.forEach(p => {
+    const score = drmisExtracted.filter(r => String(r['Pers No']).trim() === p && leaveDays.has(dateKeyOf(r.Date))).length;
+    if (score > bestScore) { best = p; bestScore = score; }
+  });
+  return { persNo: best, how: best ? 'matching leave days' : '' };
+}
+
+// Extract one Oracle source and stamp its rows with the employee it was matched to. Files with their own
+// employee number column keep the per-row values. Rows carry their 1-based sheet row (row), as the excluded rows do.
+// Returns { rows, warnings, persNo, excluded, dateFormat, hours }.
+function extractOracleSource(source, drmisExtracted) {
+  const parsed = sheetRowsToObjects(source.rows);
+  const objs = parsed.rows;
+  const dateFormat = (source.sheetInfo && source.sheetInfo.dateFormat) || '';
+  const hoursUnit = (source.sheetInfo && source.sheetInfo.hoursUnit) || '';
+  // dropped rows with their sheet row number
+  const excludedRows = () => extractionExclusions.oracle.map(x => Object.assign({ row: parsed.rowNumbers[x.index] }, x));
+  // hours column with its unreadable cells, also by sheet row number
+  const hoursColumn = () => Object.assign({}, extractionHours.oracle, { issues: extractionHours.oracle.issues.map(x => Object.assign({ row: parsed.rowNumbers[x.index] }, x)) });
+  const withRowNumbers = list => list.map(r => Object.assign(r, { row: parsed.rowNumbers[r.index] }));
+  let rows = withRowNumbers(extractOracleData(objs, undefined, dateFormat, hoursUnit));
+  if (rows.some(r => r['Pers No'] !== undefined)) return { rows, warnings: oracleRangeWarnings.slice(), persNo: '', excluded: excludedRows(), dateFormat: extractionDateFormats.oracle, hours: hoursColumn() };
+  const match = matchOracleSourceToPers(source, rows, drmisExtracted);
+  const warnings = [];
+  if (match.persNo) {
+    // re-run so multi-day leave is expanded with the matched employee's schedule
+    rows = withRowNumbers(extractOracleData(objs, match.persNo, dateFormat, hoursUnit));
+  } else {
+    warnings.push(`Oracle source "${source.name}" could not be matched to an employee in the DRMIS data; choose its Pers No on the Reconcile page.`);
+  }
+  warnings.push(...oracleRangeWarnings);
+  return { rows, warnings, persNo: match.persNo, excluded: excludedRows(), dateFormat: extractionDateFormats.oracle, hours: hoursColumn() };
+}
+
+// Make an Oracle source the active one (sheet picker, preview and column mapping act on it).
+// validate re-checks its columns and may open the mapping dialog, as on upload.
+function selectOracleSource(index, validate) {
+  const source = oracleSources[index];
+  if (!source) return;
+  activeOracleSource = index;
+  sourceSheets.oracle = source.sheetInfo;
+  renderSheetPicker('oracle');
+  if (validate) loadOracleRows(source.rows);
+  else {
+    oracleFileData = source.rows;
+    const extracted = extractSelectedSource('oracle');
+    document.getElementById('oracle_count').textContent = `${source.name}: ${extracted.parsed.rows.length} records found`;
+    renderSourcePickers('oracle', extracted);
+  }
+  renderOracleSources();
+}
+
+// List the Oracle sources of a batch run with the employee each belongs to. Hidden for the usual
+// one-file/one-employee run; the Pers No selector overrides automatic matching.
+function renderOracleSources() {
+  const panel = document.getElementById('oracle_sources');
+  const body = document.getElementById('oracle_sources_body');
+  if (!panel || !body) return;
+  const persList = drmisFileData ? drmisPersNos : [];
+  if (oracleSources.length < 2 && persList.length < 2) { panel.style.display = 'none'; body.innerHTML = ''; return; }
+  body.innerHTML = '';
+  oracleSources.forEach((source, i) => {
+    const tr = document.createElement('tr');
+    if (i === activeOracleSource) tr.className = 'active-source';
+    const parsed = sheetRowsToObjects(source.rows);
+    const hasColumn = (parsed.headers || []).some(h => isEmployeeNumberHeader(h));
+    const nameTd = document.createElement('td'); nameTd.textContent = source.name;
+    const countTd = document.createElement('td'); countTd.textContent = String(parsed.rows.length);
+    const persTd = document.createElement('td');
+    if (hasColumn) persTd.textContent = 'From the file\'s employee column';
+    else {
+      const select = document.createElement('select');
+      const option = (value, label) => { const opt = document.createElement('option'); opt.value = value; opt.textContent = label; select.appendChild(opt); };
+      option('', 'Match automatically');
+      persList.forEach(p => option(p, p));
+      if (source.persNo && !persList.includes(String(source.persNo))) option(String(source.persNo), String(source.persNo));
+      select.value = String(source.persNo || '');
+      select.addEventListener('change', () => { source.persNo = select.value; });
+      persTd.appendChild(select);
+    }
+    const actionTd = document.createElement('td');
+    if (i !== activeOracleSource) {
+      const btn = document.createElement('button');
+      btn.type = 'button'; btn.className = 'preview-btn'; btn.textContent = 'Select';
+      btn.title = 'Use this file for the sheet picker, preview and column mapping';
+      btn.addEventListener('click', () => selectOracleSource(i, false));
+      actionTd.appendChild(btn);
+    } else actionTd.textContent = 'Selected';
+    tr.append(nameTd, countTd, persTd, actionTd);
+    body.appendChild(tr);
+  });
+  panel.style.display = oracleSources.length ? 'block' : 'none';
+}
+
+// Extract a source's selected rows ('drmis' or 'oracle') once, for the column check, the record count and the
+// reading pickers. Returns { parsed, rows, error, dateFormat, hours }: rows is null and error set when required
+// columns are missing; dateFormat and hours are what the extractor recorded (extractionDateFormats, extractionHours).
+function extractSelectedSource(which) {
+  const data = which === 'drmis' ? drmisFileData : oracleFileData;
+  const parsed = sheetRowsToObjects(data || []);
+  const result = { parsed, rows: null, error: null, dateFormat: null, hours: null };
+  try {
+    result.rows = which === 'drmis' ? extractDrmisData(parsed.rows, dateFormatOverride(which), hoursUnitOverride(which)) : extractOracleData(parsed.rows, undefined, dateFormatOverride(which), hoursUnitOverride(which));
+    if (parsed.rows.length) { result.dateFormat = extractionDateFormats[which]; result.hours = extractionHours[which]; }
+  } catch (err) { result.error = err; }
+  return result;
+}
 
-      saveStateToSession();
-      displayResults(resultData);
-      resultsEl.classList.remove('hidden');
+// Distinct Pers Nos of extracted DRMIS rows, as text in numeric order
+function drmisPersNosOf(rows) {
+  const list = Array.from(new Set((rows || []).map(r => r['Pers No']).filter(p => p !== undefined && p !== null && String(p).trim() !== '').map(p => String(p).trim())));
+  return list.sort((a, b) => a.localeCompare(b, undefined, {numeric: true}));
+}
+
+// Load a 2D DRMIS row array (one sheet) into state: rebuild the prefill lookup, update the preview button and
+// record counter, and validate the required columns, opening the mapping dialog if detection fails.
+function loadDrmisRows(rows) {
+  drmisFileData = rows;
+  const extracted = extractSelectedSource('drmis');
+  // build raw DRMiS lookup for prefill use
+  try { buildDrmisLookup(extracted.parsed.rows, dateFormatOverride('drmis'), hoursUnitOverride('drmis')); } catch(e){ console.warn('Failed to build DRMiS lookup', e); }
+  // show preview button and record count
+  document.getElementById('drmis_preview_btn').style.display = 'inline-block';
+  const drCount = extracted.parsed.rows.length;
+  document.getElementById('drmis_count').textContent = drCount + (drCount === 1 ? ' record found' : ' records found');
+  document.getElementById('sessionInfoBanner').style.display = 'none';
+  // show mapping dialog to user with header info when required columns were not found
+  if (extracted.error) showColumnMappingDialogClient('DRMIS', extracted.error.message, extracted.parsed);
+  drmisPersNos = drmisPersNosOf(extracted.rows);
+  renderSourcePickers('drmis', extracted);
+  renderOracleSources();
+}
+
+function loadOracleRows(rows) {
+  oracleFileData = rows;
+  if (oracleSources[activeOracleSource]) oracleSources[activeOracleSource].rows = rows;
+  const extracted = extractSelectedSource('oracle');
+  document.getElementById('oracle_preview_btn').style.display = 'inline-block';
+  const orCount = extracted.parsed.rows.length;
+  document.getElementById('oracle_count').textContent = orCount + (orCount === 1 ? ' record found' : ' records found');
+  document.getElementById('sessionInfoBanner').style.display = 'none';
+  if (extracted.error) showColumnMappingDialogClient('ORACLE', extracted.error.message, extracted.parsed);
+  renderSourcePickers('oracle', extracted);
+}
+
+// Show how a source's selected file is read ('drmis' or 'oracle'), from info ({ dateFormat, hours } as returned by
+// extractSelectedSource, or null when no file is loaded): the date format with its signature and unreadable dates
+// (hidden when the file holds no text dates) and the unit of the hours column, each with a selector to override it.
+function renderSourcePickers(which, info) {
+  const dates = info && info.dateFormat;
+  if (dates && (dates.text > 0 || dates.unparseable)) {
+    renderReadingPicker(which + '_date_format',
+      [['', `Automatic${dates.detected ? ' — ' + dateFormats[dates.detected].label : ''}`]].concat(Object.entries(dateFormats).map(([id, f]) => [id, f.label])),
+      dateFormatOverride(which), describeDateFormat(dates), !!(dates.unparseable || (dates.mixed && !dates.overridden)));
+  } else renderReadingPicker(which + '_date_format', null);
+  const hours = info && info.hours;
+  if (hours) {
+    const issues = hours.issues.length;
+    renderReadingPicker(which + '_hours_unit',
+      [['', `Automatic — ${hoursUnits[hours.detected]}`]].concat(Object.entries(hoursUnits).map(([id, label]) => [id, label.charAt(0).toUpperCase() + label.slice(1)])),
+      hoursUnitOverride(which),
+      `Read as ${hoursUnits[hours.unit]}${hours.how ? ' (' + hours.how + ')' : ''}` + (issues ? `; ${issues} value${issues === 1 ? '' : 's'} could not be read and count as 0 h.` : '.'),
+      !!(issues || (hours.unit !== 'hours' && !hours.overridden)));
+  } else renderReadingPicker(which + '_hours_unit', null);
+}
+
+// Fill one reading picker (the element with this id and its _select and _note children) with [value, label]
+// options, the current choice and a note; options null hides it. warning highlights the note.
+function renderReadingPicker(id, options, value, noteText, warning) {
+  const picker = document.getElementById(id);
+  const select = document.getElementById(id + '_select');
+  const note = document.getElementById(id + '_note');
+  if (!picker || !select) return;
+  select.innerHTML = '';
+  if (!options) { picker.style.display = 'none'; if (note) note.textContent = ''; return; }
+  options.forEach(([optionValue, label]) => {
+    const opt = document.createElement('option');
+    opt.value = optionValue; opt.textContent = label;
+    select.appendChild(opt);
+  });
+  select.value = value;
+  if (note) note.textContent = noteText;
+  picker.classList.toggle('date-format-warning', warning);
+  picker.style.display = 'block';
+}
+
+// Use the tab-separated table pasted into a source's "Paste table" box in place of an uploaded file.
+function applyPastedTable(which) {
+  const area = document.getElementById(which + '_paste');
+  const text = area ? area.value : '';
+  if (!text || text.trim() === '') { showCustomAlert('Nothing to Import', 'Paste the leave table (including its header row) copied from SAP GUI, Oracle or Excel into the box first.'); return; }
+  const rows = parseDelimitedText(text);
+  sourceSheets[which] = describeWorkbookSheets([{ name: 'Pasted table', rows: rows }], which);
+  if (which === 'oracle') { oracleSources = [{ name: 'Pasted table', sheetInfo: sourceSheets.oracle, rows: rows, persNo: '' }]; activeOracleSource = 0; }
+  renderSheetPicker(which);
+  document.getElementById(which + '_name').textContent = 'Pasted table';
+  const input = document.getElementById(which + '_file');
+  if (input) input.value = '';
+  if (which === 'drmis') loadDrmisRows(rows); else { loadOracleRows(rows); renderOracleSources(); }
+}
+
+// Populate the sheet selector for a source ('drmis' or 'oracle') from sourceSheets. The picker is only shown
+// when the workbook has more than one sheet; each option lists the detected header row and record count.
+function renderSheetPicker(which) {
+  const picker = document.getElementById(which + '_sheet_picker');
+  const select = document.getElementById(which + '_sheet');
+  const note = document.getElementById(which + '_sheet_note');
+  if (!picker || !select) return;
+  const info = sourceSheets[which];
+  if (!info || info.sheets.length < 2) { picker.style.display = 'none'; select.innerHTML = ''; if (note) note.textContent = ''; return; }
+  select.innerHTML = '';
+  info.sheets.forEach(sh => {
+    const opt = document.createElement('option');
+    opt.value = String(sh.index);
+    opt.textContent = `${sh.name} — header row ${sheetOrigin(sh.rows).row + sh.headerRowIndex + 1}, ${sh.recordCount} record${sh.recordCount === 1 ? '' : 's'}`;
+    select.appendChild(opt);
+  });
+  select.value = String(info.selectedIndex);
+  const chosen = info.sheets[info.selectedIndex];
+  const label = which === 'drmis' ? 'DRMIS' : 'Oracle';
+  if (note) note.textContent = chosen.signatureScore > 0 ? `Headers match the ${label} layout (${chosen.signatureScore}/${sourceSignatures[which].length}).` : `No sheet matches the ${label} layout; pick the sheet holding the leave table.`;
+  picker.style.display = 'block';
+}
+
+// Wire the holiday calendar selector, holiday-list upload and clear button on the Reconcile page
+function initHolidayCalendarControls() {
+  const select = document.getElementById('holiday_calendar');
+  const fileInput = document.getElementById('holiday_file');
+  const clearBtn = document.getElementById('holiday_clear_btn');
+  if (!select) return;
+  select.innerHTML = Object.entries(holidayCalendars).map(([id, cal]) => `<option value="${id}">${cal.label}</option>`).join('');
+  select.value = holidaySettings.calendar;
+  select.addEventListener('change', function(){ setHolidayCalendar(select.value); renderHolidayCalendarStatus(); });
+  fileInput.addEventListener('change', async function(e){
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const parsed = parseHolidaySheets(await readSourceFile(file, 'holidays'));
+      if (parsed.holidays.length > 0) setCustomHolidays(parsed.holidays, file.name);
+      if (parsed.unreadable.length > 0) {
+        const cells = parsed.unreadable.slice(0, 10).map(x => `row ${x.row} ("${x.value}")`).join(', ') + (parsed.unreadable.length > 10 ? ', …' : '');
+        showCustomAlert('Some Holiday Dates Not Read', `${parsed.unreadable.length} date${parsed.unreadable.length === 1 ? '' : 's'} could not be read${parsed.format ? ' as ' + dateFormats[parsed.format].label.toLowerCase() : ''} and ${parsed.unreadable.length === 1 ? 'was' : 'were'} left out: ${cells}.` + (parsed.holidays.length ? '' : ' No holidays were loaded.'));
+      } else if (parsed.holidays.length === 0) showCustomAlert('No Holidays Found', 'The file needs a date column (for example HolidayDate) and optionally a Holiday name column, like the Holidays sheet of the Leave Audit workbook.');
     } catch (err) {
-      console.error(err);
-      errorEl.textContent = '❌ ' + (err.message || err);
-      errorEl.classList.remove('hidden');
-    } finally {
-      loadingEl.classList.add('hidden');
+      showCustomAlert('Holiday Upload Failed', 'Could not read the holiday list: ' + (err.message || err));
     }
+    fileInput.value = '';
+    renderHolidayCalendarStatus();
   });
+  clearBtn.addEventListener('click', function(){ setCustomHolidays([], ''); renderHolidayCalendarStatus(); });
+  renderHolidayCalendarStatus();
+}
 
-  document.getElementById('downloadResultsBtn').addEventListener('click', function(){
-    // Export the live results table as a styled .xlsx (includes any UI changes)
-    downloadReconciliationXlsxExcelJS();
+function renderHolidayCalendarStatus() {
+  const status = document.getElementById('holiday_calendar_status');
+  const clearBtn = document.getElementById('holiday_clear_btn');
+  if (status) status.textContent = 'Active calendar: ' + describeHolidayCalendar();
+  if (clearBtn) clearBtn.style.display = (holidaySettings.customHolidays || []).length > 0 ? 'inline-block' : 'none';
+}
+
+// Wire the hours comparison policy controls on the Reconcile page
+function initHoursPolicyControls() {
+  const rounding = document.getElementById('hours_rounding');
+  const tolerance = document.getElementById('hours_tolerance');
+  if (!rounding || !tolerance) return;
+  rounding.innerHTML = Object.entries(hoursRoundings).map(([id, r]) => `<option value="${id}">${r.label}</option>`).join('');
+  rounding.value = hoursPolicy.rounding;
+  tolerance.value = hoursPolicy.tolerance;
+  const update = () => {
+    setHoursPolicy(rounding.value, tolerance.value);
+    tolerance.value = hoursPolicy.tolerance;
+    renderHoursPolicyStatus();
+  };
+  rounding.addEventListener('change', update);
+  tolerance.addEventListener('change', update);
+  renderHoursPolicyStatus();
+}
+
+function renderHoursPolicyStatus() {
+  const status = document.getElementById('hours_policy_status');
+  if (status) status.textContent = 'Hours are compared: ' + describeHoursPolicy();
+}
+
+// Wire the reconciliation period selector on the Reconcile page; only the inputs of the chosen type are shown
+function initPeriodControls() {
+  const typeSelect = document.getElementById('period_type');
+  if (!typeSelect) return;
+  const yearSelect = document.getElementById('period_fiscal_year');
+  const quarterSelect = document.getElementById('period_quarter');
+  const monthInput = document.getElementById('period_month');
+  const fromInput = document.getElementById('period_from');
+  const toInput = document.getElementById('period_to');
+  typeSelect.innerHTML = Object.entries(periodTypes).map(([id, label]) => `<option value="${id}">${label}</option>`).join('');
+  const currentFy = fiscalYearOf(new Date());
+  const years = [];
+  for (let fy = currentFy; fy >= currentFy - 5; fy--) years.push(fy);
+  if (!years.includes(periodSettings.fiscalYear)) years.push(periodSettings.fiscalYear);
+  yearSelect.innerHTML = years.map(fy => `<option value="${fy}">${fiscalYearLabel(fy)}</option>`).join('');
+  quarterSelect.innerHTML = ['Q1 (Apr–Jun)', 'Q2 (Jul–Sep)', 'Q3 (Oct–Dec)', 'Q4 (Jan–Mar)'].map((label, i) => `<option value="${i + 1}">${label}</option>`).join('');
+  typeSelect.value = periodSettings.type;
+  yearSelect.value = String(periodSettings.fiscalYear);
+  quarterSelect.value = String(periodSettings.quarter);
+  monthInput.value = periodSettings.month;
+  fromInput.value = periodSettings.from;
+  toInput.value = periodSettings.to;
+  const update = () => {
+    periodSettings = {
+      type: typeSelect.value,
+      fiscalYear: Number(yearSelect.value),
+      quarter: Number(quarterSelect.value),
+      month: monthInput.value || periodSettings.month,
+      from: fromInput.value,
+      to: toInput.value
+    };
+    savePeriodSettings();
+    renderPeriodControls();
+  };
+  [typeSelect, yearSelect, quarterSelect, monthInput, fromInput, toInput].forEach(el => el.addEventListener('change', update));
+  renderPeriodControls();
+}
+
+function renderPeriodControls() {
+  const show = (id, visible) => { const el = document.getElementById(id); if (el) el.style.display = visible ? '' : 'none'; };
+  const type = periodSettings.type;
+  show('period_fiscal_year_group', type === 'fiscal-year' || type === 'quarter');
+  show('period_quarter_group', type === 'quarter');
+  show('period_month_group', type === 'month');
+  show('period_custom_group', type === 'custom');
+  const status = document.getElementById('period_status');
+  if (status) status.textContent = 'Reconciling: ' + describeReconciliationPeriod();
+}
+
+// Wire the work schedule editor on the Reconcile page. Leaving Pers No blank edits the default schedule.
+function initScheduleControls() {
+  const persInput = document.getElementById('schedule_pers');
+  const presetSelect = document.getElementById('schedule_preset');
+  if (!persInput || !presetSelect) return;
+  presetSelect.innerHTML = Object.entries(schedulePresets).map(([id, p]) => `<option value="${id}">${p.label}</option>`).join('') + '<option value="custom">Custom / rotating…</option>';
+  const editorState = { weeks: [] };
+
+  function loadEditor() {
+    const key = persKey(persInput.value);
+    const def = (key && scheduleSettings.employees[key]) || scheduleSettings.defaultSchedule;
+    presetSelect.value = def && def.preset && (def.preset === 'custom' || schedulePresets[def.preset]) ? def.preset : 'std8';
+    editorState.weeks = resolveSchedule(def).weeks.map(w => w.slice());
+    document.getElementById('schedule_anchor').value = def && def.anchor ? def.anchor : '';
+    document.getElementById('schedule_remove_btn').style.display = (key && scheduleSettings.employees[key]) ? 'inline-block' : 'none';
+    renderScheduleGrid(editorState, presetSelect);
+  }
+
+  persInput.addEventListener('change', loadEditor);
+  presetSelect.addEventListener('change', function(){
+    if (presetSelect.value !== 'custom') editorState.weeks = schedulePresets[presetSelect.value].weeks.map(w => w.slice());
+    renderScheduleGrid(editorState, presetSelect);
+  });
+  document.getElementById('schedule_add_week_btn').addEventListener('click', function(){
+    editorState.weeks.push(editorState.weeks[editorState.weeks.length - 1].slice());
+    presetSelect.value = 'custom';
+    renderScheduleGrid(editorState, presetSelect);
+  });
+  document.getElementById('schedule_remove_week_btn').addEventListener('click', function(){
+    if (editorState.weeks.length > 1) editorState.weeks.pop();
+    presetSelect.value = 'custom';
+    renderScheduleGrid(editorState, presetSelect);
   });
+  document.getElementById('schedule_save_btn').addEventListener('click', function(){
+    const key = persKey(persInput.value);
+    const def = presetSelect.value === 'custom'
+      ? { preset: 'custom', weeks: editorState.weeks.map(w => w.slice()), anchor: document.getElementById('schedule_anchor').value || null }
+      : { preset: presetSelect.value };
+    if (key) scheduleSettings.employees[key] = def; else scheduleSettings.defaultSchedule = def;
+    saveScheduleSettings();
+    loadEditor();
+    renderScheduleSummary();
+  });
+  document.getElementById('schedule_remove_btn').addEventListener('click', function(){
+    const key = persKey(persInput.value);
+    if (!key) return;
+    delete scheduleSettings.employees[key];
+    saveScheduleSettings();
+    loadEditor();
+    renderScheduleSummary();
+  });
+  loadEditor();
+  renderScheduleSummary();
+}
 
-  document.getElementById('resetBtn').addEventListener('click', function(){
-    clearClientSideData();
+// Render the hours grid (one row per rotation week, Mon..Sun columns). Editing a cell switches to Custom.
+function renderScheduleGrid(editorState, presetSelect) {
+  const tbody = document.getElementById('schedule_grid_body');
+  if (!tbody) return;
+  const dayOrder = [1, 2, 3, 4, 5, 6, 0];
+  tbody.innerHTML = '';
+  editorState.weeks.forEach((week, wi) => {
+    const tr = document.createElement('tr');
+    const label = document.createElement('td'); label.textContent = editorState.weeks.length > 1 ? `Week ${wi + 1}` : 'Every week'; tr.appendChild(label);
+    dayOrder.forEach(day => {
+      const td = document.createElement('td');
+      const inp = document.createElement('input');
+      inp.type = 'number'; inp.min = '0'; inp.max = '24'; inp.step = '0.25'; inp.className = 'schedule-hours-input';
+      inp.value = String(Number(week[day]) || 0);
+      inp.addEventListener('input', function(){ editorState.weeks[wi][day] = Number(inp.value) || 0; presetSelect.value = 'custom'; });
+      td.appendChild(inp); tr.appendChild(td);
+    });
+    const total = document.createElement('td'); total.className = 'schedule-week-total'; total.textContent = week.reduce((a, b) => a + (Number(b) || 0), 0).toFixed(2); tr.appendChild(total);
+    tbody.appendChild(tr);
   });
+  const rotation = document.getElementById('schedule_rotation');
+  if (rotation) rotation.style.display = editorState.weeks.length > 1 ? 'block' : 'none';
+}
 
-  document.getElementById('downloadReconciliationBtn').addEventListener('click', function(){ downloadReconciliationXlsxExcelJS(); });
-  document.getElementById('resetFormBtn').addEventListener('click', clearClientSideData);
+function renderScheduleSummary() {
+  const el = document.getElementById('schedule_summary');
+  if (!el) return;
+  const parts = ['Default: ' + resolveSchedule(scheduleSettings.defaultSchedule).label];
+  Object.keys(scheduleSettings.employees).sort().forEach(k => parts.push(`${k}: ${resolveSchedule(scheduleSettings.employees[k]).label}`));
+  el.textContent = parts.join(' · ');
 }
 
 function showColumnMappingDialogClient(fileType, message, sheetObj) {
@@ -851,14 +2974,16 @@ function showColumnMappingDialogClient(fileType, message, sheetObj) {
       const mappedRows = sheetObj.rows.map(r => { const rr = Object.assign({}, r); Object.entries(combinedMapping).forEach(([req, hdr]) => { rr[req] = r[hdr]; }); return rr; });
       if (fileType === 'DRMIS') {
         // attempt extraction
-        const extracted = extractDrmisData(mappedRows);
+        const extracted = extractDrmisData(mappedRows, dateFormatOverride('drmis'), hoursUnitOverride('drmis'));
         // if success, update in-memory drmisFileData to a rows-array form so future submits will use it
         const newHeaders = Object.keys(mappedRows[0] || {});
         const newRows = [newHeaders].concat(mappedRows.map(o => newHeaders.map(h => o[h])));
         drmisFileData = newRows;
+        drmisPersNos = drmisPersNosOf(extracted);
           // rebuild raw DRMiS lookup from the mapped objects so prefill works
-          try { buildDrmisLookup(mappedRows); } catch(e){ console.warn('Failed to build DRMiS lookup after mapping', e); }
+          try { buildDrmisLookup(mappedRows, dateFormatOverride('drmis'), hoursUnitOverride('drmis')); } catch(e){ console.warn('Failed to build DRMiS lookup after mapping', e); }
         modal.remove();
+        renderOracleSources();
         // Show mapping summary modal (detected + user mappings)
         const userMap = {};
         Object.keys(detected || {}).forEach(k=>{});
@@ -872,10 +2997,11 @@ function showColumnMappingDialogClient(fileType, message, sheetObj) {
           try { document.getElementById('uploadForm').dispatchEvent(new Event('submit', {cancelable:true})); } catch(e) { console.warn('Could not auto-submit after mapping', e); }
         }
       } else {
-        const extracted = extractOracleData(mappedRows);
+        const extracted = extractOracleData(mappedRows, undefined, dateFormatOverride('oracle'), hoursUnitOverride('oracle'));
         const newHeaders = Object.keys(mappedRows[0] || {});
         const newRows = [newHeaders].concat(mappedRows.map(o => newHeaders.map(h => o[h])));
         oracleFileData = newRows;
+        if (oracleSources[activeOracleSource]) oracleSources[activeOracleSource].rows = newRows;
         modal.remove();
         const provided = {};
         Object.keys(combinedMapping).forEach(k => { if (!detected[k]) provided[k] = combinedMapping[k]; });
@@ -926,7 +3052,10 @@ function showMappingResultModal(fileType, detectedMap, userMap) {
 
 function clearClientSideData(){
   try { sessionStorage.removeItem('leave_reconcile_state'); } catch(e){}
-  drmisFileData = null; oracleFileData = null; resultData = null; catsEditsData = null;
+  drmisFileData = null; drmisPersNos = []; oracleFileData = null; resultData = null; catsEditsData = null;
+  sourceLeaveDescriptions = {};
+  sourceSheets = { drmis: null, oracle: null };
+  oracleSources = []; activeOracleSource = 0;
   // reload page to clear UI
   location.hash = '#/upload';
   loadRoute();
@@ -939,9 +3068,22 @@ function displayResults(data){
 
   const tableBody = document.getElementById('tableBody'); tableBody.innerHTML='';
   const addToCatsIndex = data.headers.indexOf('Add to CATs Edits');
+  // batch runs: head each employee's mismatches with a group row
+  const persIndex = data.headers.indexOf('Pers No');
+  const persCounts = new Map();
+  if (persIndex >= 0) data.data.forEach(row => { const p = String(row[persIndex]); persCounts.set(p, (persCounts.get(p) || 0) + 1); });
+  let lastPers = null;
+  const rowObjects = resultRowObjects(data);
 
   data.data.forEach((row,rowIndex)=>{
+    if (persCounts.size > 1 && String(row[persIndex]) !== lastPers) {
+      lastPers = String(row[persIndex]);
+      const n = persCounts.get(lastPers);
+      tableBody.appendChild(employeeGroupRow(`Pers No ${lastPers || '(unmatched)'} — ${n} mismatch${n === 1 ? '' : 'es'}`, data.headers.length));
+    }
     const tr = document.createElement('tr');
+    tr.dataset.discrepancies = classifyDiscrepancy(rowObjects[rowIndex]).join(' ');
+    if (tr.dataset.discrepancies.split(' ').includes('soft-mismatch')) tr.classList.add('soft-mismatch-row');
     const checkboxTd = document.createElement('td'); checkboxTd.style.textAlign='center'; const isChecked = addToCatsIndex>=0 ? row[addToCatsIndex] : true; checkboxTd.innerHTML = `<input type="checkbox" class="cats-checkbox" data-row-index="${rowIndex}" ${isChecked? 'checked':''} onchange="updateCatsSelection()">`; tr.appendChild(checkboxTd);
     row.forEach((cell,cellIndex)=>{
       if(cellIndex===addToCatsIndex) return;
@@ -953,6 +3095,8 @@ function displayResults(data){
       } else if(header==='Oracle Leave Code' || header==='Drmis Leave Code'){
         const c = (cell === null || cell === undefined) ? '' : String(cell).trim();
         td.textContent = (c === '' || c === '-') ? '0' : c;
+        const description = leaveCodeDescription(c);
+        if (description) { td.title = description; td.classList.add('leave-code-cell'); }
       } else {
         td.textContent = (cell === null || cell === '') ? '-' : cell;
       }
@@ -963,9 +3107,16 @@ function displayResults(data){
 
   // select all row
   const selectAllRow = document.createElement('tr'); selectAllRow.style.backgroundColor='#f8f9fa'; selectAllRow.style.borderTop='2px solid #284162';
-  const selectAllCell = document.createElement('td'); selectAllCell.colSpan = data.headers.length; selectAllCell.style.textAlign='center'; selectAllCell.style.padding='10px'; selectAllCell.innerHTML = `<label style="cursor:pointer; font-weight:600; color:#284162;"><input type="checkbox" id="selectAllCats" checked onchange="toggleAllCatsSelection(this.checked)" style="margin-right:8px;">Select All</label>`;
+  const selectAllCell = document.createElement('td'); selectAllCell.colSpan = data.headers.length; selectAllCell.style.textAlign='center'; selectAllCell.style.padding='10px'; selectAllCell.innerHTML = `<label style="cursor:pointer; font-weight:600; color:#284162;"><input type="checkbox" id="selectAllCats" ${addToCatsIndex < 0 || data.data.every(row => row[addToCatsIndex] !== false) ? 'checked' : ''} onchange="toggleAllCatsSelection(this.checked)" style="margin-right:8px;">Select All</label>`;
   selectAllRow.appendChild(selectAllCell); tableBody.appendChild(selectAllRow);
 
+  renderReconcileWarnings(data.warnings || []);
+  renderDiscrepancySummary(data);
+  renderLedger(data);
+  renderLeaveUsage(data);
+  renderLeaveAnomalies(data);
+  renderExcludedRows(data);
+
   // store and message
   window.resultData = data;
   try{
@@ -974,6 +3125,306 @@ function displayResults(data){
   }catch(e){ console.warn('Could not update result message:', e); }
 }
 
+// Discrepancy category the mismatch table is filtered to ('' = all)
+let discrepancyFilter = '';
+
+// Summary cards above the mismatch table: lines and hours per discrepancy category. Clicking a card filters the table.
+function renderDiscrepancySummary(data) {
+  const panel = document.getElementById('discrepancySummary');
+  if (!panel) return;
+  const rows = resultRowObjects(data);
+  panel.innerHTML = '';
+  if (rows.length === 0) { panel.classList.add('hidden'); return; }
+  const summary = summarizeDiscrepancies(rows);
+  const card = (key, label, count, hours) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'category-card' + (key === discrepancyFilter ? ' active' : '');
+    btn.innerHTML = `<span class="category-label"></span><span class="category-count">${count}</span><span class="category-hours">${hours.toFixed(2)} h</span>`;
+    btn.querySelector('.category-label').textContent = label;
+    btn.disabled = key !== '' && count === 0;
+    btn.addEventListener('click', () => { discrepancyFilter = (discrepancyFilter === key ? '' : key); renderDiscrepancySummary(data); applyDiscrepancyFilter(); });
+    panel.appendChild(btn);
+  };
+  // each line counts once towards the total, with the hours of its main discrepancy type
+  const totalHours = rows.reduce((sum, r) => { const cat = discrepancyCategories.find(c => c.key === classifyDiscrepancy(r)[0]); return sum + (cat ? cat.hours(r) : 0); }, 0);
+  card('', 'All mismatches', rows.length, totalHours);
+  summary.forEach(e => card(e.key, e.label, e.count, e.hours));
+  panel.classList.remove('hidden');
+  applyDiscrepancyFilter();
+}
+
+// Show only the mismatch rows of the selected discrepancy category (employee headings follow their rows)
+function applyDiscrepancyFilter() {
+  const body = document.getElementById('tableBody');
+  if (!body) return;
+  let groupRow = null, groupVisible = false;
+  Array.from(body.querySelectorAll('tr')).forEach(tr => {
+    if (tr.classList.contains('employee-group-row')) {
+      if (groupRow) groupRow.style.display = groupVisible ? '' : 'none';
+      groupRow = tr; groupVisible = false;
+      return;
+    }
+    if (tr.dataset.discrepancies === undefined) return;
+    const visible = !discrepancyFilter || tr.dataset.discrepancies.split(' ').includes(discrepancyFilter);
+    tr.style.display = visible ? '' : 'none';
+    if (visible) groupVisible = true;
+  });
+  if (groupRow) groupRow.style.display = groupVisible ? '' : 'none';
+}
+
+// Results view on the Reconcile page: 'mismatches' (selectable for CATs edits), 'ledger' (every line with its
+// status), 'usage' (hours per leave code and month), 'anomalies' (leave on non-working days or over the
+// standard day) or 'excluded' (source rows left out of the reconciliation)
+let resultsView = 'mismatches';
+// Ledger status shown by the filter chips ('' = all)
+let ledgerStatusFilter = '';
+// Anomaly shown by the anomalies filter chips ('' = all)
+let anomalyKindFilter = '';
+// Exclusion kind shown by the excluded-rows filter chips ('' = all)
+let excludedKindFilter = '';
+
+function setResultsView(view) {
+  resultsView = ['ledger', 'usage', 'anomalies', 'excluded'].includes(view) ? view : 'mismatches';
+  document.querySelectorAll('.view-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.view === resultsView));
+  const mismatchView = document.getElementById('mismatchView');
+  const ledgerView = document.getElementById('ledgerView');
+  const usageView = document.getElementById('usageView');
+  const anomaliesView = document.getElementById('anomaliesView');
+  const excludedView = document.getElementById('excludedView');
+  if (mismatchView) mismatchView.classList.toggle('hidden', resultsView !== 'mismatches');
+  if (ledgerView) ledgerView.classList.toggle('hidden', resultsView !== 'ledger');
+  if (usageView) usageView.classList.toggle('hidden', resultsView !== 'usage');
+  if (anomaliesView) anomaliesView.classList.toggle('hidden', resultsView !== 'anomalies');
+  if (excludedView) excludedView.classList.toggle('hidden', resultsView !== 'excluded');
+}
+
+// CSS class for a ledger status, e.g. 'Hours differ' -> 'status-hours-differ'
+function statusClass(status) {
+  return 'status-' + String(status).toLowerCase().replace(/[^a-z]+/g, '-');
+}
+
+// Render the full reconciliation ledger, with a filter chip (and count) per status
+function renderLedger(data) {
+  const chips = document.getElementById('ledgerStatusChips');
+  const header = document.getElementById('ledgerHeader');
+  const body = document.getElementById('ledgerBody');
+  if (!chips || !header || !body) return;
+  const ledger = data && data.ledger ? data.ledger : { headers: [], data: [] };
+  const statusIndex = ledger.headers.indexOf('Status');
+  const persIndex = ledger.headers.indexOf('Pers No');
+  const counts = {};
+  ledger.data.forEach(row => { counts[row[statusIndex]] = (counts[row[statusIndex]] || 0) + 1; });
+
+  chips.innerHTML = '';
+  [''].concat(ledgerStatuses).forEach(status => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'filter-chip' + (status ? ' ' + statusClass(status) : '') + (status === ledgerStatusFilter ? ' active' : '');
+    chip.textContent = `${status || 'All'} (${status ? (counts[status] || 0) : ledger.data.length})`;
+    chip.addEventListener('click', () => { ledgerStatusFilter = status; renderLedger(data); });
+    chips.appendChild(chip);
+  });
+
+  header.innerHTML = '';
+  ledger.headers.forEach(h => { const th = document.createElement('th'); th.textContent = h; header.appendChild(th); });
+  body.innerHTML = '';
+  const rows = ledger.data.filter(row => !ledgerStatusFilter || row[statusIndex] === ledgerStatusFilter);
+  const multipleEmployees = new Set(ledger.data.map(row => String(row[persIndex]))).size > 1;
+  let lastPers = null;
+  rows.forEach(row => {
+    if (multipleEmployees && String(row[persIndex]) !== lastPers) {
+      lastPers = String(row[persIndex]);
+      body.appendChild(employeeGroupRow(`Pers No ${lastPers || '(unmatched)'}`, ledger.headers.length));
+    }
+    const tr = document.createElement('tr');
+    row.forEach((cell, i) => {
+      const td = document.createElement('td');
+      const h = ledger.headers[i];
+      if (h === 'Oracle Hours' || h === 'Drmis Hours') td.textContent = (Number(cell) || 0).toFixed(2);
+      else if (h === 'Status') { td.textContent = cell; td.className = 'status-cell ' + statusClass(cell); }
+      else td.textContent = (cell === null || cell === '') ? '-' : cell;
+      if ((h === 'Oracle Leave Code' || h === 'Drmis Leave Code') && leaveCodeDescription(cell)) { td.title = leaveCodeDescription(cell); td.className = 'leave-code-cell'; }
+      tr.appendChild(td);
+    });
+    body.appendChild(tr);
+  });
+  if (rows.length === 0) {
+    const tr = document.createElement('tr'); const td = document.createElement('td');
+    td.colSpan = Math.max(1, ledger.headers.length); td.className = 'ledger-empty';
+    td.textContent = ledger.data.length ? 'No ledger lines with this status.' : 'Run the reconciliation again to build the full ledger.';
+    tr.appendChild(td); body.appendChild(tr);
+  }
+}
+
+// Render the leave usage summary: a line per leave code and month, closed by the code's total
+function renderLeaveUsage(data) {
+  const header = document.getElementById('usageHeader');
+  const body = document.getElementById('usageBody');
+  if (!header || !body) return;
+  const usage = data && data.usage ? data.usage : { headers: leaveUsageHeaders, data: [] };
+  const persIndex = usage.headers.indexOf('Pers No');
+  const monthIndex = usage.headers.indexOf('Month');
+  const multipleEmployees = new Set(usage.data.map(row => String(row[persIndex]))).size > 1;
+  header.innerHTML = '';
+  usage.headers.forEach((h, i) => { if (i === persIndex && !multipleEmployees) return; const th = document.createElement('th'); th.textContent = h; header.appendChild(th); });
+  body.innerHTML = '';
+  usage.data.forEach(row => {
+    const tr = document.createElement('tr');
+    if (row[monthIndex] === 'Total') tr.className = 'usage-total-row';
+    row.forEach((cell, i) => {
+      if (i === persIndex && !multipleEmployees) return;
+      const td = document.createElement('td');
+      const h = usage.headers[i];
+      if (/hours/i.test(h)) {
+        const n = Number(cell) || 0;
+        td.textContent = n.toFixed(2);
+        if (/difference/i.test(h) && Math.abs(n) >= 0.005) td.className = 'usage-difference';
+      } else td.textContent = (cell === null || cell === '') ? '-' : cell;
+      tr.appendChild(td);
+    });
+    body.appendChild(tr);
+  });
+  if (usage.data.length === 0) {
+    const tr = document.createElement('tr'); const td = document.createElement('td');
+    td.colSpan = usage.headers.length; td.className = 'ledger-empty';
+    td.textContent = data && data.usage ? 'No leave recorded in either file.' : 'Run the reconciliation again to build the leave usage summary.';
+    tr.appendChild(td); body.appendChild(tr);
+  }
+}
+
+// Render the leave anomalies with a filter chip per kind
+function renderLeaveAnomalies(data) {
+  const chips = document.getElementById('anomalyKindChips');
+  const body = document.getElementById('anomaliesBody');
+  if (!chips || !body) return;
+  const anomalies = data && data.anomalies ? data.anomalies : { headers: leaveAnomalyHeaders, data: [] };
+  const kindIndex = anomalies.headers.indexOf('Anomaly');
+  const viewBtn = document.querySelector('.view-btn[data-view="anomalies"]');
+  if (viewBtn) viewBtn.textContent = `Anomalies (${anomalies.data.length})`;
+
+  const counts = {};
+  anomalies.data.forEach(row => { counts[row[kindIndex]] = (counts[row[kindIndex]] || 0) + 1; });
+  if (!counts[anomalyKindFilter]) anomalyKindFilter = '';
+  chips.innerHTML = '';
+  [''].concat(Object.values(leaveAnomalyKinds)).forEach(label => {
+    if (label && !counts[label]) return;
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'filter-chip' + (label === anomalyKindFilter ? ' active' : '');
+    chip.textContent = `${label || 'All'} (${label ? counts[label] : anomalies.data.length})`;
+    chip.addEventListener('click', () => { anomalyKindFilter = label; renderLeaveAnomalies(data); });
+    chips.appendChild(chip);
+  });
+
+  body.innerHTML = '';
+  const rows = anomalies.data.filter(row => !anomalyKindFilter || row[kindIndex] === anomalyKindFilter);
+  rows.forEach(row => {
+    const tr = document.createElement('tr');
+    row.forEach((cell, i) => {
+      const td = document.createElement('td');
+      if (/hours/i.test(anomalies.headers[i])) td.textContent = (Number(cell) || 0).toFixed(2);
+      else td.textContent = (cell === null || cell === undefined || cell === '' || cell === '0') ? '-' : cell;
+      if (i === kindIndex) td.className = 'anomaly-kind';
+      tr.appendChild(td);
+    });
+    body.appendChild(tr);
+  });
+  if (rows.length === 0) {
+    const tr = document.createElement('tr'); const td = document.createElement('td');
+    td.colSpan = anomalies.headers.length; td.className = 'ledger-empty';
+    td.textContent = data && data.anomalies ? 'No leave anomalies found.' : 'Run the reconciliation again to check for leave anomalies.';
+    tr.appendChild(td); body.appendChild(tr);
+  }
+}
+
+// Render the rows left out during extraction, with a filter chip (and count) per reason and the leave codes
+// that are missing from the catalogue listed above the table
+function renderExcludedRows(data) {
+  const chips = document.getElementById('excludedKindChips');
+  const body = document.getElementById('excludedBody');
+  if (!chips || !body) return;
+  const excluded = (data && data.excluded) || [];
+  const viewBtn = document.querySelector('.view-btn[data-view="excluded"]');
+  if (viewBtn) viewBtn.textContent = `Excluded rows (${excluded.length})`;
+
+  const unknownPanel = document.getElementById('unknownCodes');
+  if (unknownPanel) {
+    const unknown = (data && data.unknownCodes) || summarizeUnknownCodes(excluded);
+    unknownPanel.innerHTML = '';
+    if (unknown.length) {
+      const title = document.createElement('p');
+      title.className = 'warning-title';
+      title.innerHTML = `${unknown.length} leave code${unknown.length === 1 ? ' is' : 's are'} not in the leave code catalogue. Add ${unknown.length === 1 ? 'it' : 'them'} on the <a href="#/settings">Settings page</a> to reconcile ${unknown.length === 1 ? 'it' : 'them'}.`;
+      const list = document.createElement('ul');
+      unknown.forEach(u => { const li = document.createElement('li'); li.textContent = `${u.source} ${u.code}${u.description ? ' — ' + u.description : ''}: ${u.rows} row${u.rows === 1 ? '' : 's'}, ${u.hours.toFixed(2)} h`; list.appendChild(li); });
+      unknownPanel.append(title, list);
+    }
+    unknownPanel.classList.toggle('hidden', unknown.length === 0);
+  }
+
+  const counts = {};
+  excluded.forEach(x => { counts[x.kind] = (counts[x.kind] || 0) + 1; });
+  if (!counts[excludedKindFilter]) excludedKindFilter = '';
+  chips.innerHTML = '';
+  [''].concat(Object.keys(exclusionKinds)).forEach(kind => {
+    if (kind && !counts[kind]) return;
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'filter-chip' + (kind === excludedKindFilter ? ' active' : '');
+    chip.textContent = `${kind ? exclusionKinds[kind] : 'All'} (${kind ? counts[kind] : excluded.length})`;
+    chip.addEventListener('click', () => { excludedKindFilter = kind; renderExcludedRows(data); });
+    chips.appendChild(chip);
+  });
+
+  body.innerHTML = '';
+  const rows = excluded.filter(x => !excludedKindFilter || x.kind === excludedKindFilter);
+  rows.forEach(x => {
+    const tr = document.createElement('tr');
+    if (x.kind === 'unknown-code') tr.className = 'excluded-unknown';
+    [x.source, x.row, x.date, x.code, x.description, (Number(x.hours) || 0).toFixed(2), x.reason].forEach(cell => {
+      const td = document.createElement('td');
+      td.textContent = (cell === null || cell === undefined || cell === '') ? '-' : cell;
+      tr.appendChild(td);
+    });
+    body.appendChild(tr);
+  });
+  if (rows.length === 0) {
+    const tr = document.createElement('tr'); const td = document.createElement('td');
+    td.colSpan = 7; td.className = 'ledger-empty';
+    td.textContent = excluded.length ? 'No excluded rows with this reason.' : (data && data.excluded ? 'No rows were left out.' : 'Run the reconciliation again to list the excluded rows.');
+    tr.appendChild(td); body.appendChild(tr);
+  }
+}
+
+// Heading row for one employee's block in the results and CATs edits tables (skipped by exports)
+function employeeGroupRow(label, colSpan) {
+  const tr = document.createElement('tr'); tr.className = 'employee-group-row';
+  const td = document.createElement('td'); td.colSpan = colSpan; td.textContent = label;
+  tr.appendChild(td);
+  return tr;
+}
+
+// CATs table body rows without the employee group headings
+function catsTableRows(table) {
+  return Array.from(table.querySelectorAll('tbody tr')).filter(tr => !tr.classList.contains('employee-group-row'));
+}
+
+// Show data-quality warnings gathered during extraction (e.g. Oracle ranges whose hours don't fit) above the results table
+function renderReconcileWarnings(warnings) {
+  const panel = document.getElementById('reconcileWarnings');
+  if (!panel) return;
+  panel.innerHTML = '';
+  if (!warnings || warnings.length === 0) { panel.classList.add('hidden'); return; }
+  const title = document.createElement('p');
+  title.className = 'warning-title';
+  title.textContent = `⚠️ ${warnings.length} warning${warnings.length === 1 ? '' : 's'} — review these entries before relying on the results`;
+  const list = document.createElement('ul');
+  warnings.forEach(w => { const li = document.createElement('li'); li.textContent = w; list.appendChild(li); });
+  panel.append(title, list);
+  panel.classList.remove('hidden');
+}
+
 function toggleAllCatsSelection(checked){ document.querySelectorAll('.cats-checkbox').forEach(cb=>cb.checked=checked); updateCatsSelection(); }
 
 function updateCatsSelection(){
@@ -981,32 +3432,156 @@ function updateCatsSelection(){
   // Update catsEditsData accordingly: regenerate catsEditsData from resultData using selectedIndices
   if (!window.resultData) return;
   // Reconstruct mismatches from resultData into an array of objects
-  const headers = window.resultData.headers;
-  const dataRows = window.resultData.data;
-  const mismatches = dataRows.map(r=>{
-    const obj = {};
-    headers.forEach((h, i)=>{ obj[h]=r[i]; });
-    return obj;
-  });
+  const mismatches = resultRowObjects(window.resultData);
   const selected = selectedIndices.map(i=>mismatches[i]).filter(Boolean);
   // Need to convert back to the internal mismatches used by generateCatsEdits (with Date objects)
   // We'll attempt to parse Date strings in 'Apr 10, 2025' format
-  const converted = selected.map(s=>({ Date: parseDisplayDate(s['Date']), 'Pers No': s['Pers No'], 'Oracle Leave Code': s['Oracle Leave Code'], 'Oracle Hours': Number(s['Oracle Hours']) || 0, 'Drmis Leave Code': s['Drmis Leave Code'], 'Drmis Hours': Number(s['Drmis Hours']) || 0 }));
+  const converted = selected.map(s=>({ Date: parseDisplayDate(s['Date']), 'Pers No': s['Pers No'], 'Oracle Leave Code': s['Oracle Leave Code'], 'Oracle Hours': Number(s['Oracle Hours']) || 0, 'Drmis Leave Code': s['Drmis Leave Code'], 'Drmis Hours': Number(s['Drmis Hours']) || 0, 'Day Oracle Hours': s['Day Oracle Hours'], Status: s.Status, 'Weekend or Holiday': s['Weekend or Holiday'] }));
   catsEditsData = generateCatsEdits(converted);
   saveStateToSession();
 }
 
+// Local-midnight Date of display text ('Apr 10, 2025', or a 'YYYY-MM-DD' key), or null
 function parseDisplayDate(str) {
-  // expect 'Apr 10, 2025'
-  if (!str) return null;
-  const parts = str.split(' ');
-  if (parts.length<3) return new Date(str);
-  const mon = parts[0].replace(',',''); const day = parseInt(parts[1].replace(',','')); const year = parseInt(parts[2]);
-  const months = {Jan:0,Feb:1,Mar:2,Apr:3,May:4,Jun:5,Jul:6,Aug:7,Sep:8,Oct:9,Nov:10,Dec:11};
-  return new Date(year, months[mon], day);
+  return calendarDateToLocal(toCalendarDate(str));
 }
 
 /* -------------------- File preview modal handlers -------------------- */
+const rawPreviewRows = 40;
+
+// Use a header row and column bounds picked in the file preview for a source's selected rows (and files with
+// the same layout), then re-run extraction.
+function applyHeaderLayout(which, rows, layout) {
+  rememberHeaderLayout(rows, layout);
+  reloadSourceRows(which);
+}
+
+// Re-read a source's selected rows after its header layout changed: the sheet picker entry, record count,
+// prefill lookup and column checks, then the open preview.
+function reloadSourceRows(which) {
+  const rows = which === 'drmis' ? drmisFileData : oracleFileData;
+  if (!rows) return;
+  const info = sourceSheets[which];
+  const sheet = info ? info.sheets[info.selectedIndex] : null;
+  if (sheet) {
+    const detected = sheetRowsToObjects(rows);
+    Object.assign(sheet, { headerRowIndex: detected.headerRowIndex, headers: detected.headers, recordCount: detected.rows.length, signatureScore: scoreSheetSignature(detected.headers, which) });
+    renderSheetPicker(which);
+  }
+  showFilePreview(which);
+  if (which === 'drmis') loadDrmisRows(rows); else { loadOracleRows(rows); renderOracleSources(); }
+}
+
+// Show the top of the raw sheet above the preview table: the header row in use and its column bounds are
+// highlighted and each scanned row shows its header score. Clicking a row makes it the header row; dragging
+// a bound handle onto another column moves that bound.
+function renderHeaderDiagnostics(which, container) {
+  const rows = which === 'drmis' ? drmisFileData : oracleFileData;
+  container.innerHTML = '';
+  if (!rows || rows.length === 0) return;
+  const parsed = sheetRowsToObjects(rows);
+  const detected = detectSheetLayout(rows);
+  const shown = rows.slice(0, rawPreviewRows);
+  const colCount = shown.reduce((n, r) => Math.max(n, (r || []).length), 0);
+  const origin = sheetOrigin(rows);
+  const colName = c => XLSX.utils.encode_col(origin.col + c);
+  const rowName = r => origin.row + r + 1;
+  const columnsText = (first, last) => last < first ? 'no columns' : `columns ${colName(first)}–${colName(last)}`;
+
+  const summary = document.createElement('p');
+  summary.className = 'header-diagnostics-summary';
+  summary.textContent = `Header row ${rowName(parsed.headerRowIndex)}, ${columnsText(parsed.firstCol, parsed.lastCol)}` +
+    (parsed.overridden ? ` (chosen for files with this layout; detected: row ${rowName(detected.headerRowIndex)}, ${columnsText(detected.firstCol, detected.lastCol)}).` : ' (detected).');
+  const top = detected.candidates.slice().sort((a, b) => b.score - a.score || a.row - b.row).slice(0, 3);
+  const scores = document.createElement('span');
+  scores.className = 'header-diagnostics-scores';
+  scores.textContent = ' Top scores: ' + top.map(c => `row ${rowName(c.row)} (${c.score})`).join(', ') + '.';
+  summary.appendChild(scores);
+  if (parsed.overridden) {
+    const resetBtn = document.createElement('button');
+    resetBtn.type = 'button'; resetBtn.className = 'preview-btn'; resetBtn.textContent = 'Reset to detected';
+    resetBtn.addEventListener('click', () => { forgetHeaderLayout(rows); reloadSourceRows(which); });
+    summary.appendChild(resetBtn);
+  }
+  const hint = document.createElement('p');
+  hint.className = 'header-diagnostics-hint';
+  hint.textContent = 'Click a row to use it as the header row, or drag a column bound (◀ ▶) to another column. The choice is remembered for files with the same layout.';
+  container.append(summary, hint);
+
+  const dropBound = (e, col) => {
+    e.preventDefault();
+    const bound = e.dataTransfer.getData('text/plain');
+    if (bound !== 'first' && bound !== 'last') return;
+    const layout = { headerRowIndex: parsed.headerRowIndex, firstCol: parsed.firstCol, lastCol: parsed.lastCol };
+    if (bound === 'first') layout.firstCol = Math.min(col, layout.lastCol); else layout.lastCol = Math.max(col, layout.firstCol);
+    applyHeaderLayout(which, rows, layout);
+  };
+  const boundHandle = (bound) => {
+    const handle = document.createElement('span');
+    handle.className = 'bound-handle';
+    handle.textContent = bound === 'first' ? '◀' : '▶';
+    handle.title = bound === 'first' ? 'Drag to move the first column' : 'Drag to move the last column';
+    handle.draggable = true;
+    handle.addEventListener('dragstart', e => { e.dataTransfer.setData('text/plain', bound); e.dataTransfer.effectAllowed = 'move'; });
+    return handle;
+  };
+
+  const table = document.createElement('table');
+  table.className = 'raw-sheet-table';
+  const thead = document.createElement('thead');
+  const headTr = document.createElement('tr');
+  headTr.appendChild(document.createElement('th'));
+  for (let c = 0; c < colCount; c++) {
+    const th = document.createElement('th');
+    if (c < parsed.firstCol || c > parsed.lastCol) th.className = 'raw-out-of-bounds';
+    if (c === parsed.firstCol) th.appendChild(boundHandle('first'));
+    th.appendChild(document.createTextNode(colName(c)));
+    if (c === parsed.lastCol) th.appendChild(boundHandle('last'));
+    th.addEventListener('dragover', e => e.preventDefault());
+    th.addEventListener('drop', e => dropBound(e, c));
+    headTr.appendChild(th);
+  }
+  thead.appendChild(headTr);
+  const tbody = document.createElement('tbody');
+  shown.forEach((row, r) => {
+    const tr = document.createElement('tr');
+    if (r === parsed.headerRowIndex) tr.className = 'raw-header-row';
+    else if (r === detected.headerRowIndex) tr.className = 'raw-detected-row';
+    tr.title = r === parsed.headerRowIndex ? 'Header row in use' : `Use row ${rowName(r)} as the header row`;
+    const labelTd = document.createElement('td');
+    labelTd.className = 'raw-row-label';
+    labelTd.textContent = String(rowName(r));
+    const candidate = detected.candidates[r];
+    if (candidate) {
+      const score = document.createElement('span');
+      score.className = 'raw-row-score';
+      score.textContent = String(candidate.score);
+      labelTd.appendChild(score);
+    }
+    tr.appendChild(labelTd);
+    for (let c = 0; c < colCount; c++) {
+      const td = document.createElement('td');
+      if (c < parsed.firstCol || c > parsed.lastCol) td.className = 'raw-out-of-bounds';
+      const val = (row || [])[c];
+      td.textContent = (val === null || val === undefined) ? '' : (val instanceof Date ? formattedDateForDisplay(val) : String(val));
+      tr.appendChild(td);
+    }
+    if (r !== parsed.headerRowIndex) tr.addEventListener('click', () => applyHeaderLayout(which, rows, Object.assign({ headerRowIndex: r }, sheetColumnBounds(rows, r))));
+    tbody.appendChild(tr);
+  });
+  table.append(thead, tbody);
+  const wrapper = document.createElement('div');
+  wrapper.className = 'raw-sheet-wrapper';
+  wrapper.appendChild(table);
+  container.appendChild(wrapper);
+  if (rows.length > shown.length) {
+    const more = document.createElement('p');
+    more.className = 'header-diagnostics-hint';
+    more.textContent = `First ${shown.length} of ${rows.length} sheet rows.`;
+    container.appendChild(more);
+  }
+}
+
 function showFilePreview(which) {
   // which: 'drmis' or 'oracle'
   const modal = document.getElementById('filePreviewModal');
@@ -1043,12 +3618,23 @@ function showFilePreview(which) {
   if (body) body.innerHTML = '';
   let data = null;
   if (which === 'drmis') data = drmisFileData; else if (which === 'oracle') data = oracleFileData;
+  // raw sheet with the header row and column bounds, above the extracted table
+  let diagnostics = document.getElementById('previewDiagnostics');
+  if (!diagnostics && modalBody) {
+    diagnostics = document.createElement('div');
+    diagnostics.id = 'previewDiagnostics';
+    diagnostics.className = 'header-diagnostics';
+    modalBody.insertBefore(diagnostics, modalBody.querySelector('.table-wrapper') || modalBody.firstChild);
+  }
+  if (diagnostics) renderHeaderDiagnostics(which, diagnostics);
   if (!data || !Array.isArray(data) || data.length === 0) {
     title.textContent = 'No file loaded';
     modal.style.display = 'flex';
     return;
   }
   title.textContent = (which === 'drmis' ? 'DRMIS File Preview' : 'ORACLE File Preview');
+  const sheetInfo = sourceSheets[which];
+  if (sheetInfo && sheetInfo.sheets.length > 1) title.textContent += ' — ' + sheetInfo.sheets[sheetInfo.selectedIndex].name;
   // Use robust header detection to show the original table only (pre-filter)
   const detected = sheetRowsToObjects(data);
   const headers = detected.headers || [];
@@ -1070,7 +3656,7 @@ function showFilePreview(which) {
       const tableWrapper = modalBody.querySelector('.table-wrapper');
       if (tableWrapper) modalBody.insertBefore(noteRow, tableWrapper);
       else modalBody.insertBefore(noteRow, modalBody.firstChild);
-    }
+    } else existingNote.textContent = `Showing ${maxRows} of ${totalRows} data row${totalRows===1? '' : 's'}`;
   }
   // allow horizontal scrolling for very wide tables
   const tableWrapper = modal.querySelector('.table-wrapper') || document.createElement('div');
@@ -1098,7 +3684,7 @@ function showFilePreview(which) {
     const rowObj = detected.rows[i];
     if (!rowObj) continue;
     const tr = document.createElement('tr');
-    headers.forEach(h => { const td = document.createElement('td'); td.style.padding = '4px 8px'; td.style.border = '1px solid #eee'; const val = rowObj[h]; td.textContent = (val === null || val === undefined) ? '' : String(val); tr.appendChild(td); });
+    headers.forEach(h => { const td = document.createElement('td'); td.style.padding = '4px 8px'; td.style.border = '1px solid #eee'; const val = rowObj[h]; td.textContent = (val === null || val === undefined) ? '' : (val instanceof Date ? formattedDateForDisplay(val) : String(val)); tr.appendChild(td); });
     tbodyEl.appendChild(tr);
   }
   // attach wrapper into modal (prefer placing before any existing table wrapper)
@@ -1112,25 +3698,290 @@ function closeFilePreview() {
   if (modal) modal.style.display = 'none';
 }
 
+/* -------------------- Settings page -------------------- */
+function initSettingsPage(){
+  loadLeaveCatalogue();
+  initLeaveCatalogueEditor();
+  loadCodeMapping();
+  initCodeMappingEditor();
+  loadCodeEquivalenceGroups();
+  initCodeGroupsEditor();
+  loadFilterRules();
+  initFilterRulesEditor();
+}
+
+// Wire the leave code catalogue editor: spreadsheet import/export, add, restore defaults
+function initLeaveCatalogueEditor() {
+  const fileInput = document.getElementById('leave_codes_file');
+  if (!fileInput) return;
+  const options = document.getElementById('leave_category_options');
+  if (options) options.innerHTML = leaveCategories.map(c => `<option value="${c}"></option>`).join('');
+
+  fileInput.addEventListener('change', async function(e){
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const codes = parseLeaveCodeSheets(await readSourceFile(file, 'leave codes'));
+      leaveCatalogue = { codes: codes, source: file.name };
+      saveLeaveCatalogue();
+      renderLeaveCatalogue();
+    } catch (err) {
+      showCustomAlert('Import Failed', err.message || String(err));
+    } finally {
+      fileInput.value = '';
+    }
+  });
+  document.getElementById('leave_codes_export_btn').addEventListener('click', downloadLeaveCatalogue);
+  document.getElementById('leave_codes_add_btn').addEventListener('click', function(){
+    leaveCatalogue.codes.push({ code: '', description: '', category: '', included: true });
+    renderLeaveCatalogue();
+    const inputs = document.querySelectorAll('#leave_codes_body .leave-code-input');
+    if (inputs.length) inputs[inputs.length - 1].focus();
+  });
+  document.getElementById('leave_codes_reset_btn').addEventListener('click', function(){
+    leaveCatalogue = { codes: defaultLeaveCatalogueCodes(), source: 'Built-in Actual Leave codes' };
+    saveLeaveCatalogue();
+    renderLeaveCatalogue();
+  });
+  renderLeaveCatalogue();
+}
+
+// One editable table row per catalogue entry; every edit is saved straight away
+function renderLeaveCatalogue() {
+  const body = document.getElementById('leave_codes_body');
+  const status = document.getElementById('leave_codes_status');
+  if (!body) return;
+  const persist = () => { saveLeaveCatalogue(); renderLeaveCatalogueStatus(status); };
+  body.innerHTML = '';
+  leaveCatalogue.codes.forEach((entry, i) => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td><input type="text" class="leave-code-input" inputmode="numeric" maxlength="6" aria-label="Leave code"></td>
+      <td><input type="text" class="leave-description-input" aria-label="Description"></td>
+      <td><input type="text" class="leave-category-input" list="leave_category_options" aria-label="Category"></td>
+      <td class="included-cell"><input type="checkbox" class="leave-included-input" aria-label="Included"></td>
+      <td class="action-cell"><button type="button" class="btn-icon btn-icon-delete" title="Remove code">×</button></td>`;
+    const codeInput = tr.querySelector('.leave-code-input');
+    const descInput = tr.querySelector('.leave-description-input');
+    const catInput = tr.querySelector('.leave-category-input');
+    const incInput = tr.querySelector('.leave-included-input');
+    codeInput.value = entry.code; descInput.value = entry.description; catInput.value = entry.category; incInput.checked = entry.included;
+    codeInput.addEventListener('change', () => {
+      const code = codeInput.value.replace(/\D+/g, '');
+      if (code !== '' && leaveCatalogue.codes.some((c, j) => j !== i && c.code === code)) {
+        showCustomAlert('Duplicate Code', `Leave code ${code} is already in the catalogue.`);
+        codeInput.value = entry.code;
+        return;
+      }
+      entry.code = code; codeInput.value = code;
+      persist();
+    });
+    descInput.addEventListener('change', () => { entry.description = descInput.value.trim(); persist(); });
+    catInput.addEventListener('change', () => { entry.category = catInput.value.trim(); persist(); });
+    incInput.addEventListener('change', () => { entry.included = incInput.checked; persist(); });
+    tr.querySelector('.btn-icon-delete').addEventListener('click', () => { leaveCatalogue.codes.splice(i, 1); persist(); renderLeaveCatalogue(); });
+    body.appendChild(tr);
+  });
+  renderLeaveCatalogueStatus(status);
+}
+
+// Wire the Oracle-to-DRMIS code mapping editor
+function initCodeMappingEditor() {
+  const prefix = document.getElementById('code_mapping_prefix');
+  if (!prefix) return;
+  prefix.checked = codeMappingSettings.prefixThreeDigit;
+  prefix.addEventListener('change', () => { codeMappingSettings.prefixThreeDigit = prefix.checked; saveCodeMapping(); });
+  document.getElementById('code_mapping_add_btn').addEventListener('click', function(){
+    codeMappingSettings.entries.push({ oracle: '', drmis: '' });
+    renderCodeMapping();
+    const inputs = document.querySelectorAll('#code_mapping_body .mapping-oracle-input');
+    if (inputs.length) inputs[inputs.length - 1].focus();
+  });
+  document.getElementById('code_mapping_reset_btn').addEventListener('click', function(){
+    codeMappingSettings = defaultCodeMapping();
+    prefix.checked = codeMappingSettings.prefixThreeDigit;
+    saveCodeMapping();
+    renderCodeMapping();
+  });
+  renderCodeMapping();
+}
+
+function renderCodeMapping() {
+  const body = document.getElementById('code_mapping_body');
+  if (!body) return;
+  const options = document.getElementById('drmis_code_options');
+  if (options) options.innerHTML = leaveCatalogue.codes.map(c => `<option value="${c.code}">${c.description}</option>`).join('');
+  body.innerHTML = '';
+  codeMappingSettings.entries.forEach((entry, i) => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td><input type="text" class="mapping-oracle-input" aria-label="Oracle code or description"></td>
+      <td><input type="text" class="mapping-drmis-input" list="drmis_code_options" inputmode="numeric" maxlength="6" aria-label="DRMIS A/A type"></td>
+      <td class="mapping-description"></td>
+      <td class="action-cell"><button type="button" class="btn-icon btn-icon-delete" title="Remove mapping">×</button></td>`;
+    const oracleInput = tr.querySelector('.mapping-oracle-input');
+    const drmisInput = tr.querySelector('.mapping-drmis-input');
+    const description = tr.querySelector('.mapping-description');
+    const describe = () => { const c = getLeaveCode(entry.drmis); description.textContent = c ? c.description : (entry.drmis ? 'Not in the leave code catalogue' : ''); };
+    oracleInput.value = entry.oracle; drmisInput.value = entry.drmis; describe();
+    oracleInput.addEventListener('change', () => {
+      const value = oracleInput.value.trim();
+      if (value !== '' && codeMappingSettings.entries.some((e, j) => j !== i && codeMappingKey(e.oracle) === codeMappingKey(value))) {
+        showCustomAlert('Duplicate Mapping', `"${value}" is already mapped.`);
+        oracleInput.value = entry.oracle;
+        return;
+      }
+      entry.oracle = value;
+      saveCodeMapping();
+    });
+    drmisInput.addEventListener('change', () => { entry.drmis = drmisInput.value.replace(/\D+/g, ''); drmisInput.value = entry.drmis; describe(); saveCodeMapping(); });
+    tr.querySelector('.btn-icon-delete').addEventListener('click', () => { codeMappingSettings.entries.splice(i, 1); saveCodeMapping(); renderCodeMapping(); });
+    body.appendChild(tr);
+  });
+}
+
+// Wire the leave code equivalence groups editor
+function initCodeGroupsEditor() {
+  const addBtn = document.getElementById('code_groups_add_btn');
+  if (!addBtn) return;
+  addBtn.addEventListener('click', function(){
+    codeEquivalenceGroups.push({ id: 'group-' + Date.now(), name: '', codes: [] });
+    renderCodeGroups();
+    const inputs = document.querySelectorAll('#code_groups_body .group-name-input');
+    if (inputs.length) inputs[inputs.length - 1].focus();
+  });
+  document.getElementById('code_groups_reset_btn').addEventListener('click', function(){
+    codeEquivalenceGroups = defaultCodeEquivalenceGroups();
+    saveCodeEquivalenceGroups();
+    renderCodeGroups();
+  });
+  renderCodeGroups();
+}
+
+function renderCodeGroups() {
+  const body = document.getElementById('code_groups_body');
+  if (!body) return;
+  body.innerHTML = '';
+  codeEquivalenceGroups.forEach((group, i) => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td><input type="text" class="group-name-input" aria-label="Group name"></td>
+      <td><input type="text" class="group-codes-input" aria-label="A/A types"></td>
+      <td class="mapping-description"></td>
+      <td class="action-cell"><button type="button" class="btn-icon btn-icon-delete" title="Remove group">×</button></td>`;
+    const nameInput = tr.querySelector('.group-name-input');
+    const codesInput = tr.querySelector('.group-codes-input');
+    const description = tr.querySelector('.mapping-description');
+    const describe = () => { description.textContent = group.codes.map(c => `${c} ${leaveCodeDescription(c) || '(not in the catalogue)'}`).join('; '); };
+    nameInput.value = group.name; codesInput.value = group.codes.join(', '); describe();
+    nameInput.addEventListener('change', () => { group.name = nameInput.value.trim(); saveCodeEquivalenceGroups(); });
+    codesInput.addEventListener('change', () => {
+      const codes = Array.from(new Set(codesInput.value.split(/[\s,;]+/).map(c => c.replace(/\D+/g, '')).filter(Boolean)));
+      const taken = codes.find(c => codeEquivalenceGroups.some((g, j) => j !== i && g.codes.includes(c)));
+      if (taken) {
+        showCustomAlert('Code Already Grouped', `${taken} already belongs to another equivalence group.`);
+        codesInput.value = group.codes.join(', ');
+        return;
+      }
+      group.codes = codes;
+      codesInput.value = codes.join(', ');
+      describe();
+      saveCodeEquivalenceGroups();
+    });
+    tr.querySelector('.btn-icon-delete').addEventListener('click', () => { codeEquivalenceGroups.splice(i, 1); saveCodeEquivalenceGroups(); renderCodeGroups(); });
+    body.appendChild(tr);
+  });
+}
+
+// Wire the exclusion filter rules editor
+function initFilterRulesEditor() {
+  const addBtn = document.getElementById('filter_rules_add_btn');
+  if (!addBtn) return;
+  addBtn.addEventListener('click', function(){
+    filterRules.push({ id: 'rule-' + Date.now(), type: 'prefix', value: '', to: '', scope: 'both', note: '' });
+    renderFilterRules();
+    const inputs = document.querySelectorAll('#filter_rules_body .rule-value-input');
+    if (inputs.length) inputs[inputs.length - 1].focus();
+  });
+  document.getElementById('filter_rules_reset_btn').addEventListener('click', function(){
+    filterRules = defaultFilterRules();
+    saveFilterRules();
+    renderFilterRules();
+  });
+  renderFilterRules();
+}
+
+function renderFilterRules() {
+  const body = document.getElementById('filter_rules_body');
+  if (!body) return;
+  const optionsFor = (labels, selected) => Object.keys(labels).map(k => `<option value="${k}"${k === selected ? ' selected' : ''}>${labels[k]}</option>`).join('');
+  body.innerHTML = '';
+  filterRules.forEach((rule, i) => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td><select class="rule-type-select" aria-label="Match">${optionsFor(filterRuleTypes, rule.type)}</select></td>
+      <td><input type="text" class="rule-value-input" aria-label="Value"></td>
+      <td><input type="text" class="rule-to-input" inputmode="numeric" aria-label="Range end"></td>
+      <td><select class="rule-scope-select" aria-label="Applies to">${optionsFor(filterRuleScopes, rule.scope)}</select></td>
+      <td><input type="text" class="rule-note-input" aria-label="Note"></td>
+      <td class="action-cell"><button type="button" class="btn-icon btn-icon-delete" title="Remove rule">×</button></td>`;
+    const typeSelect = tr.querySelector('.rule-type-select');
+    const valueInput = tr.querySelector('.rule-value-input');
+    const toInput = tr.querySelector('.rule-to-input');
+    const noteInput = tr.querySelector('.rule-note-input');
+    valueInput.value = rule.value; toInput.value = rule.to; noteInput.value = rule.note;
+    toInput.disabled = rule.type !== 'range';
+    typeSelect.addEventListener('change', () => { rule.type = typeSelect.value; toInput.disabled = rule.type !== 'range'; saveFilterRules(); });
+    valueInput.addEventListener('change', () => {
+      const value = valueInput.value.trim();
+      if (rule.type === 'description') {
+        try { new RegExp(value, 'i'); } catch (e) {
+          showCustomAlert('Invalid Pattern', `"${value}" is not a valid regular expression.`);
+          valueInput.value = rule.value;
+          return;
+        }
+      }
+      rule.value = value;
+      saveFilterRules();
+    });
+    toInput.addEventListener('change', () => { rule.to = toInput.value.trim(); saveFilterRules(); });
+    tr.querySelector('.rule-scope-select').addEventListener('change', e => { rule.scope = e.target.value; saveFilterRules(); });
+    noteInput.addEventListener('change', () => { rule.note = noteInput.value.trim(); saveFilterRules(); });
+    tr.querySelector('.btn-icon-delete').addEventListener('click', () => { filterRules.splice(i, 1); saveFilterRules(); renderFilterRules(); });
+    body.appendChild(tr);
+  });
+}
+
+function renderLeaveCatalogueStatus(status) {
+  if (!status) return;
+  const codes = leaveCatalogue.codes.filter(c => c.code !== '');
+  const included = codes.filter(c => c.included).length;
+  status.textContent = codes.length === 0
+    ? 'The catalogue is empty: every leave code is reconciled.'
+    : `${codes.length} code${codes.length === 1 ? '' : 's'}, ${included} included in reconciliation${leaveCatalogue.source ? ' — from ' + leaveCatalogue.source : ''}.`;
+}
+
 /* -------------------- Excel generation (SheetJS) -------------------- */
 function downloadReconciliationExcel(resultData) {
   // We'll build a simple workbook with headers and rows similar to server output
   const ws_data = [];
-  // headers without 'Add to CATs Edits'
+  // headers without 'Add to CATs Edits', with a description after each leave code
   const headers = resultData.headers.filter(h=>h!=='Add to CATs Edits');
-  ws_data.push(headers);
-  resultData.data.forEach(row => {
+  const filteredRows = resultData.data.map(row => {
     const filtered = [];
     resultData.headers.forEach((h,i)=>{ if (h!=='Add to CATs Edits') filtered.push(row[i]); });
-    ws_data.push(filtered);
+    return filtered;
   });
+  const described = withLeaveDescriptions(headers, filteredRows);
+  ws_data.push(described.headers);
+  described.rows.forEach(row => ws_data.push(row));
   const wb = XLSX.utils.book_new();
   const ws = XLSX.utils.aoa_to_sheet(ws_data);
   XLSX.utils.book_append_sheet(wb, ws, 'Mismatches');
   const wbout = XLSX.write(wb, {bookType:'xlsx', type:'array'});
   const blob = new Blob([wbout], {type:'application/octet-stream'});
   const url = URL.createObjectURL(blob);
-  const a = document.createElement('a'); a.href = url; a.download = `Leave_Reconciliation_${(new Date()).toISOString().split('T')[0]}.xlsx`; document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
+  const a = document.createElement('a'); a.href = url; a.download = `Leave_Reconciliation_${todayKey()}.xlsx`; document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
 }
 
 function downloadCatsEditsExcelInternal() {
@@ -1142,35 +3993,35 @@ function downloadCatsEditsExcelInternal() {
   ws_data.push([]);
   ws_data.push(['These are the changes that need to be made in CATs on DRMIS']);
   ws_data.push([]);
-  ws_data.push(['Pers No','Date','Work Order','Act','AA Code','Hours','Discrepancy Reason']);
+  ws_data.push(['Pers No','Date','Work Order','Act','AA Code','Hours','Discrepancy Reason','Leave Description']);
   catsEditsData.forEach(entry => {
-    ws_data.push([entry.pers_no, entry.date, entry.work_order, entry.act, entry.aa_code, entry.hours, entry.discrepancy_reason]);
+    ws_data.push([entry.pers_no, entry.date, entry.work_order, entry.act, entry.aa_code, entry.hours, entry.discrepancy_reason, entry.row_type === 'total-row' ? '' : leaveCodeDescription(entry.aa_code)]);
   });
   const ws = XLSX.utils.aoa_to_sheet(ws_data);
   XLSX.utils.book_append_sheet(wb, ws, 'CATs Edits');
   const wbout = XLSX.write(wb, {bookType:'xlsx', type:'array'});
   const blob = new Blob([wbout], {type:'application/octet-stream'});
   const url = URL.createObjectURL(blob);
-  const a = document.createElement('a'); a.href = url; a.download = `CATs_Edits_${(new Date()).toISOString().split('T')[0]}.xlsx`; document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
+  const a = document.createElement('a'); a.href = url; a.download = `CATs_Edits_${todayKey()}.xlsx`; document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
 }
 
 /* -------------------- Cats Edits page rendering and actions -------------------- */
 function initCatsEditsPage(){
   loadStateFromSession();
+  loadLeaveCatalogue();
+  loadCodeEquivalenceGroups();
+  loadHoursPolicy();
+  // regular hours for the daily totals come from the work schedules and holiday calendar
+  loadScheduleSettings();
+  loadHolidaySettings();
   const container = document.getElementById('catsContent');
   container.innerHTML = '';
   // if catsEditsData not present, try to generate from resultData
   if (!catsEditsData && window.resultData) {
     // generate from current resultData
     // reconstruct mismatches into internal format
-    const headers = window.resultData.headers;
-    const rows = window.resultData.data;
-    const mismatches = rows.map(r => {
-      const obj = {};
-      headers.forEach((h,i)=>{ obj[h]=r[i]; });
-      return obj;
-    });
-    const converted = mismatches.map(s=>({ Date: parseDisplayDate(s['Date']), 'Pers No': s['Pers No'], 'Oracle Leave Code': s['Oracle Leave Code'], 'Oracle Hours': Number(s['Oracle Hours'])||0, 'Drmis Leave Code': s['Drmis Leave Code'], 'Drmis Hours': Number(s['Drmis Hours'])||0 }));
+    const mismatches = resultRowObjects(window.resultData);
+    const converted = mismatches.filter(s => s['Add to CATs Edits'] !== false).map(s=>({ Date: parseDisplayDate(s['Date']), 'Pers No': s['Pers No'], 'Oracle Leave Code': s['Oracle Leave Code'], 'Oracle Hours': Number(s['Oracle Hours'])||0, 'Drmis Leave Code': s['Drmis Leave Code'], 'Drmis Hours': Number(s['Drmis Hours'])||0, 'Day Oracle Hours': s['Day Oracle Hours'], Status: s.Status, 'Weekend or Holiday': s['Weekend or Holiday'] }));
     catsEditsData = generateCatsEdits(converted);
     saveStateToSession();
   }
@@ -1187,9 +4038,16 @@ function initCatsEditsPage(){
   const tableWrapper = document.createElement('div'); tableWrapper.className='cats-table-wrapper';
   // Note: removed datalist to avoid native browser dropdown icon; using a plain input with a small custom arrow instead
   const table = document.createElement('table'); table.className='cats-table'; table.id='catsTable';
-  const thead = document.createElement('thead'); thead.innerHTML = `<tr><th>Pers No</th><th>Date</th><th>Work Order</th><th>Act</th><th>AA Code</th><th>Hours</th><th>Discrepancy Reason</th><th></th></tr>`;
+  const thead = document.createElement('thead'); thead.innerHTML = `<tr><th>Pers No</th><th>Date</th><th>Work Order</th><th>Act</th><th>AA Code</th><th>Hours</th><th>Discrepancy Reason</th><th>Leave Description</th><th></th></tr>`;
   const tbody = document.createElement('tbody');
-  catsEditsData.forEach(entry => {
+  // batch runs: head each employee's edits with a group row
+  const catsPers = Array.from(new Set(catsEditsData.filter(e => e.row_type === 'data-row').map(e => String(e.pers_no))));
+  let lastPers = null;
+  catsEditsData.forEach((entry, entryIndex) => {
+    if (catsPers.length > 1 && entry.row_type === 'data-row' && String(entry.pers_no) !== lastPers) {
+      lastPers = String(entry.pers_no);
+      tbody.appendChild(employeeGroupRow(`Pers No ${lastPers}`, 9));
+    }
     const tr = document.createElement('tr'); tr.className = entry.row_type; if (entry.editable) tr.setAttribute('data-editable','true');
     const td1 = document.createElement('td'); td1.className = (entry.row_type=='data-row' ? 'non-editable' : ''); td1.textContent = entry.pers_no || '';
     const td2 = document.createElement('td'); td2.className = (entry.row_type=='data-row' ? 'non-editable' : ''); td2.textContent = entry.date || '';
@@ -1215,11 +4073,12 @@ function initCatsEditsPage(){
     }
     td6.textContent = hoursText;
     const td7 = document.createElement('td'); td7.className = (entry.row_type=='data-row' || entry.row_type=='total-row' ? 'non-editable' : ''); td7.textContent = entry.discrepancy_reason || '';
+    const tdDescription = document.createElement('td'); tdDescription.className = 'non-editable leave-description'; tdDescription.textContent = entry.row_type === 'total-row' ? '' : leaveCodeDescription(entry.aa_code);
     const td8 = document.createElement('td'); td8.className='action-cell';
     if (entry.row_type=='data-row') td8.innerHTML = `<button class="btn-icon" onclick="addRowAfter(this)" title="Add additional entry">+</button>`;
     else if (entry.row_type=='editable-row') td8.innerHTML = `<button class="btn-icon btn-icon-delete" onclick="deleteRow(this)" title="Delete row">×</button>`;
 
-    tr.append(td1,td2,td3,td4,td5,td6,td7,td8);
+    tr.append(td1,td2,td3,td4,td5,td6,td7,tdDescription,td8);
     // attach original DRMiS metadata if present
     try {
       if (entry.original_drmis_code) tr.dataset.originalDrmis = entry.original_drmis_code;
@@ -1227,8 +4086,9 @@ function initCatsEditsPage(){
       if (entry.replaced) tr.dataset.replaced = 'true';
     } catch(e){}
     tbody.appendChild(tr);
-    // If this is a data-row, automatically insert a prefilled editable-row (from DRMIS) right after it
-    if (entry.row_type === 'data-row') {
+    // After the last leave line (data-row) of a day, automatically insert a prefilled editable-row (from DRMIS)
+    const nextEntry = catsEditsData[entryIndex + 1];
+    if (entry.row_type === 'data-row' && (!nextEntry || nextEntry.row_type !== 'data-row')) {
       const preRow = document.createElement('tr'); preRow.className = 'editable-row'; preRow.setAttribute('data-editable','true');
       preRow.innerHTML = `
         <td class="non-editable"></td>
@@ -1240,6 +4100,7 @@ function initCatsEditsPage(){
         <td class="editable" contenteditable="true" oninput="updateTotals()"></td>
         <td class="editable" contenteditable="true" oninput="updateTotals()" onblur="formatHours(this)"></td>
         <td class="non-editable"></td>
+        <td class="non-editable leave-description"></td>
         <td class="action-cell"><button class="btn-icon btn-icon-delete" onclick="deleteRow(this)" title="Delete row">×</button></td>
       `;
       // attempt prefill using the data-row we just created (catch errors)
@@ -1251,6 +4112,8 @@ function initCatsEditsPage(){
         // ensure totals are correct after building each pair
         try { updateTotals(); } catch(e) { console.warn('updateTotals failed during table build', e); }
   });
+  // keep the Leave Description of added rows in step with the AA Code typed into them
+  tbody.addEventListener('input', e => { const row = e.target.closest && e.target.closest('tr.editable-row'); if (row) describeCatsRow(row); });
   table.appendChild(thead); table.appendChild(tbody); tableWrapper.appendChild(table);
   container.appendChild(tableWrapper);
 
@@ -1284,7 +4147,7 @@ async function downloadCatsEditsXlsxExcelJS(){
   if (!table) { alert('No CATs table found'); return; }
 
   // Build live rows from the current DOM so user-added/edited rows are included
-  const rows = Array.from(table.querySelectorAll('tbody tr'));
+  const rows = catsTableRows(table);
   if (rows.length === 0) { alert('No CATs rows to export'); return; }
   const liveData = rows.map(tr => {
     const cells = tr.querySelectorAll('td');
@@ -1302,8 +4165,9 @@ async function downloadCatsEditsXlsxExcelJS(){
       const htxt = cells[5].textContent.trim(); const hn = parseFloat(htxt); hoursVal = (!isNaN(hn) ? hn : (htxt === '' ? '' : htxt));
     }
     const discrepancy_reason = (cells[6] && cells[6].textContent) ? cells[6].textContent.trim() : '';
+    const leave_description = (cells[7] && cells[7].textContent) ? cells[7].textContent.trim() : '';
     const isTotal = tr.classList.contains('total-row');
-    return { pers_no, date, work_order, act, aa_code, hours: hoursVal, discrepancy_reason, isTotal };
+    return { pers_no, date, work_order, act, aa_code, hours: hoursVal, discrepancy_reason, leave_description, isTotal };
   });
 
   const wb = new ExcelJS.Workbook();
@@ -1312,18 +4176,18 @@ async function downloadCatsEditsXlsxExcelJS(){
   const ws = wb.addWorksheet('CATs Edits');
 
   // Title rows with merges and basic styling
-  ws.mergeCells('A1:G1'); ws.getCell('A1').value = 'Modifications to CATs Entries';
+  ws.mergeCells('A1:H1'); ws.getCell('A1').value = 'Modifications to CATs Entries';
   ws.getCell('A1').font = {name:'Calibri', size:14, bold:true};
   ws.getCell('A1').alignment = {vertical:'middle', horizontal:'center'};
   ws.getRow(1).height = 22;
 
-  ws.mergeCells('A3:G3'); ws.getCell('A3').value = 'These are the changes that need to be made in CATs on DRMIS';
+  ws.mergeCells('A3:H3'); ws.getCell('A3').value = 'These are the changes that need to be made in CATs on DRMIS';
   ws.getCell('A3').font = {name:'Calibri', size:11};
   ws.getCell('A3').alignment = {vertical:'middle', horizontal:'left'};
 
   // Header row
   const headerRowIndex = 5;
-  const headers = ['Pers No','Date','Work Order','Act','AA Code','Hours','Discrepancy Reason'];
+  const headers = ['Pers No','Date','Work Order','Act','AA Code','Hours','Discrepancy Reason','Leave Description'];
   const headerRow = ws.getRow(headerRowIndex);
   headers.forEach((h, i)=>{
     const cell = headerRow.getCell(i+1);
@@ -1343,7 +4207,8 @@ async function downloadCatsEditsXlsxExcelJS(){
     {key:'act', width:8},
     {key:'aa_code', width:10},
     {key:'hours', width:8},
-    {key:'discrepancy_reason', width:30}
+    {key:'discrepancy_reason', width:30},
+    {key:'leave_description', width:30}
   ];
 
   // Data rows (use liveData from DOM)
@@ -1359,9 +4224,10 @@ async function downloadCatsEditsXlsxExcelJS(){
     hoursCell.value = (entry.hours !== undefined && entry.hours !== null && entry.hours !== '') ? Number(entry.hours) : '';
     hoursCell.numFmt = '0.00';
     row.getCell(7).value = entry.discrepancy_reason || '';
+    row.getCell(8).value = entry.leave_description || '';
     // apply borders for data; if this is a total-row, draw a thicker/separating bottom border and bold the row
     const isTotal = entry.isTotal === true;
-    for (let c=1;c<=7;c++){
+    for (let c=1;c<=8;c++){
       const bottomStyle = isTotal ? 'thick' : 'thin';
       const border = {top:{style:'thin'}, left:{style:'thin'}, bottom:{style:bottomStyle}, right:{style:'thin'}};
       if (isTotal) border.bottom.color = {argb:'FF284162'};
@@ -1378,13 +4244,13 @@ async function downloadCatsEditsXlsxExcelJS(){
   });
 
   // Auto-filter
-  ws.autoFilter = {from: {row: headerRowIndex, column:1}, to: {row: headerRowIndex, column:7}};
+  ws.autoFilter = {from: {row: headerRowIndex, column:1}, to: {row: headerRowIndex, column:8}};
 
   try {
     const buffer = await wb.xlsx.writeBuffer();
     const blob = new Blob([buffer], {type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'});
     const url = URL.createObjectURL(blob);
-    const a = document.createElement('a'); a.href = url; a.download = `CATs_Edits_${(new Date()).toISOString().split('T')[0]}.xlsx`; document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
+    const a = document.createElement('a'); a.href = url; a.download = `CATs_Edits_${todayKey()}.xlsx`; document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
   } catch (e) {
     console.error('ExcelJS export failed', e); alert('Excel export failed: ' + e.message);
   }
@@ -1404,6 +4270,7 @@ function addRowAfter(button){
     <td class="editable" contenteditable="true" oninput="updateTotals()"></td>
     <td class="editable" contenteditable="true" oninput="updateTotals()" onblur="formatHours(this)"></td>
     <td class="non-editable"></td>
+    <td class="non-editable leave-description"></td>
     <td class="action-cell"><button class="btn-icon btn-icon-delete" onclick="deleteRow(this)">×</button></td>
   `;
   let insertAfter = currentRow; let nextRow = currentRow.nextElementSibling;
@@ -1414,39 +4281,46 @@ function addRowAfter(button){
 }
 function prefillEditableRow(newRow, dataRow){
   if (!drmisLookup || drmisLookup.size===0) return false;
-  // Extract date, pers no, leave code and leave hours from the dataRow (data-row)
+  // Extract date and pers no from the dataRow (data-row)
   const persNo = (dataRow.querySelector('td:nth-child(1)') && dataRow.querySelector('td:nth-child(1)').textContent) ? dataRow.querySelector('td:nth-child(1)').textContent.trim() : '';
   const dateStr = (dataRow.querySelector('td:nth-child(2)') && dataRow.querySelector('td:nth-child(2)').textContent) ? dataRow.querySelector('td:nth-child(2)').textContent.trim() : '';
-  const leaveCode = (dataRow.querySelector('td:nth-child(5)') && dataRow.querySelector('td:nth-child(5)').textContent) ? dataRow.querySelector('td:nth-child(5)').textContent.trim() : '';
-  const leaveHours = parseFloat((dataRow.querySelector('td:nth-child(6)') && dataRow.querySelector('td:nth-child(6)').textContent) ? dataRow.querySelector('td:nth-child(6)').textContent.trim() : '') || 0;
   const dateObj = parseDisplayDate(dateStr);
   if (!dateObj) return false;
-  const key = dateObj.toISOString().split('T')[0] + '|' + String(persNo || '');
+  const key = dateKeyOf(dateObj) + '|' + String(persNo || '');
   const candidates = drmisLookup.get(key) || [];
   if (!candidates || candidates.length===0) return false;
-  // determine if this data-row indicates a replacement (Oracle replacing DRMiS leave)
-  const originalDrmis = dataRow.dataset && dataRow.dataset.originalDrmis ? String(dataRow.dataset.originalDrmis).trim() : '';
-  const isReplaced = dataRow.dataset && dataRow.dataset.replaced === 'true';
-  // filter out DRMIS entries that represent leave rows we should not use as work entries
-  let filtered;
-  if (isReplaced && originalDrmis) {
-    // If replaced, filter out both the original DRMiS leave and any entry matching the Oracle leave code
-    filtered = candidates.filter(c => {
-      try {
-        const a = String(c.aatype || '').replace(/\D+/g,'');
-        const lc = String(leaveCode || '').replace(/\D+/g,'');
-        const od = String(originalDrmis || '').replace(/\D+/g,'');
-        return a !== lc && a !== od;
-      } catch(e){ return true; }
-    });
-  } else {
-    filtered = candidates.filter(c => { try { return String(c.aatype || '').replace(/\D+/g,'') !== String(leaveCode).replace(/\D+/g,''); } catch(e){ return true; } });
+  // A day can hold several leave lines (one data-row each, ending with dataRow): collect their leave code and hours
+  const dayRows = [];
+  let prev = dataRow;
+  while (prev && (prev.classList.contains('data-row') || prev.classList.contains('editable-row'))) {
+    if (prev.classList.contains('data-row')) dayRows.unshift(prev);
+    prev = prev.previousElementSibling;
   }
+  const digitsOf = v => String(v || '').replace(/\D+/g,'');
+  const leaveLines = dayRows.map(row => {
+    const cells = row.querySelectorAll('td');
+    return {
+      leaveCode: cells[4] ? cells[4].textContent.trim() : '',
+      leaveHours: parseFloat(cells[5] ? cells[5].textContent.trim() : '') || 0,
+      // determine if this data-row indicates a replacement (Oracle replacing DRMiS leave)
+      originalDrmis: row.dataset && row.dataset.originalDrmis ? String(row.dataset.originalDrmis).trim() : '',
+      originalDrmisHours: Number(row.dataset && row.dataset.originalDrmisHours ? Number(row.dataset.originalDrmisHours) : 0) || 0,
+      isReplaced: row.dataset && row.dataset.replaced === 'true'
+    };
+  });
+  // filter out DRMIS entries that represent leave rows we should not use as work entries:
+  // every leave line's code and, where Oracle replaced the DRMiS leave, the original DRMiS code
+  const excludedCodes = new Set();
+  leaveLines.forEach(l => {
+    excludedCodes.add(digitsOf(l.leaveCode));
+    if (l.isReplaced && l.originalDrmis) excludedCodes.add(digitsOf(l.originalDrmis));
+  });
+  const filtered = candidates.filter(c => { try { return !excludedCodes.has(digitsOf(c.aatype)); } catch(e){ return true; } });
   if (filtered.length === 0) return false;
 
-  // compute existing editable rows between dataRow and the following total-row (they consume some of the subtraction already)
+  // compute existing editable rows between the day's first data-row and the following total-row (they consume some of the subtraction already)
   let existingEditableHours = 0;
-  let next = dataRow.nextElementSibling;
+  let next = dayRows[0].nextElementSibling;
   while (next && !next.classList.contains('total-row')){
     if (next.classList.contains('editable-row')){
       const h = parseFloat((next.querySelector('td:nth-child(6)') && next.querySelector('td:nth-child(6)').textContent) ? next.querySelector('td:nth-child(6)').textContent.trim() : '') || 0;
@@ -1465,16 +4339,17 @@ function prefillEditableRow(newRow, dataRow){
     toConsume -= take;
   }
   // now handle reassignment/subtraction of the leave hours across residuals
-  // If this data-row represents an Oracle->DRMiS replacement, we should NOT subtract Oracle leave from DRMIS work (leave was replacement)
-  // Additionally, if this reconciliation row indicates Oracle removed the DRMiS leave (Oracle code empty/0 and Oracle hours 0)
+  // If a leave line represents an Oracle->DRMiS replacement, we should NOT subtract its Oracle leave from DRMIS work (leave was replacement)
+  // Additionally, if a leave line indicates Oracle removed the DRMiS leave (Oracle code empty/0 and Oracle hours 0)
   // then we should take the original DRMiS hours (if present) and reassign them to the remaining DRMiS residuals so prefilled editable rows receive those hours.
-  const originalDrmisHours = Number(dataRow.dataset && dataRow.dataset.originalDrmisHours ? Number(dataRow.dataset.originalDrmisHours) : 0) || 0;
-  const isOracleRemoved = (!isReplaced && originalDrmisHours > 0 && Number(leaveHours) === 0);
+  const isOracleRemoved = l => (!l.isReplaced && l.originalDrmisHours > 0 && Number(l.leaveHours) === 0);
+  const removedHours = leaveLines.filter(isOracleRemoved).reduce((sum, l) => sum + l.originalDrmisHours, 0);
+  const leaveHours = leaveLines.filter(l => !l.isReplaced && !isOracleRemoved(l)).reduce((sum, l) => sum + l.leaveHours, 0);
 
-  if (isOracleRemoved) {
+  if (removedHours > 0) {
     // Distribute the original DRMiS hours across residuals proportionally to their current hours when possible,
     // otherwise add to the first residual.
-    let toAdd = originalDrmisHours;
+    let toAdd = removedHours;
     const sumAvail = residuals.reduce((s,r)=>s + (Number(r.hours)||0), 0);
     if (sumAvail > 0) {
       // distribute proportionally and correct rounding by assigning remainder to first
@@ -1490,16 +4365,13 @@ function prefillEditableRow(newRow, dataRow){
       // no available hours to proportion against; add to first residual
       if (residuals.length>0) residuals[0].hours = Number(residuals[0].hours) + toAdd;
     }
-    // do not subtract leaveHours in this case (we're reallocating)
-  } else {
-    // default behaviour: subtract the remaining leave hours (leaveHours) across residuals
-    let remainingLeave = Math.max(0, leaveHours - existingEditableHours);
-    if (isReplaced) remainingLeave = 0;
-    for (let i=0;i<residuals.length && remainingLeave>0;i++){
-      const take = Math.min(residuals[i].hours, remainingLeave);
-      residuals[i].hours = Math.max(0, residuals[i].hours - take);
-      remainingLeave -= take;
-    }
+  }
+  // subtract the remaining leave hours of the other lines across residuals
+  let remainingLeave = Math.max(0, leaveHours - existingEditableHours);
+  for (let i=0;i<residuals.length && remainingLeave>0;i++){
+    const take = Math.min(residuals[i].hours, remainingLeave);
+    residuals[i].hours = Math.max(0, residuals[i].hours - take);
+    remainingLeave -= take;
   }
 
   // find first residual with hours > 0
@@ -1544,6 +4416,7 @@ function prefillEditableRow(newRow, dataRow){
     }
   }
   if (cells[4]) cells[4].textContent = pick.aatype || '';
+  describeCatsRow(newRow);
   if (cells[5]) {
     const num = Number(pick.hours) || 0;
     cells[5].textContent = num>0 ? num.toFixed(2) : (pick.hours===''? '': '0.00');
@@ -1553,36 +4426,53 @@ function prefillEditableRow(newRow, dataRow){
   return true;
 }
 
+// Show the description of a CATs row's AA Code in its Leave Description cell
+function describeCatsRow(row) {
+  const aaCell = row.querySelector('td:nth-child(5)');
+  const descriptionCell = row.querySelector('.leave-description');
+  if (descriptionCell) descriptionCell.textContent = aaCell ? leaveCodeDescription(aaCell.textContent.trim()) : '';
+}
+
 function deleteRow(button) { const row = button.closest('tr'); if(row && row.getAttribute('data-editable')==='true'){ row.remove(); updateTotals(); } }
 function formatHours(cell){ const value = cell.textContent.trim(); if(value!==''){ const num = parseFloat(value); if(!isNaN(num)) cell.textContent = num.toFixed(2); } }
 
 function updateTotals(){
   const totalRows = document.querySelectorAll('.total-row');
   totalRows.forEach(totalRow => {
-    // Sum any editable rows and the associated data-row above the total row
+    // Sum the day's data-rows and any editable rows above the total row
     let sum = 0;
+    let dataRow = null;
     let node = totalRow.previousElementSibling;
-    // walk backwards until we reach a data-row or the table start
-    while (node) {
+    // walk backwards over the day's leave lines and editable rows until the previous day (or the table start)
+    while (node && !(node.classList && (node.classList.contains('total-row') || node.classList.contains('employee-group-row')))) {
       // only consider rows that have a hours cell
       const hoursCell = node.querySelector && node.querySelector('td:nth-child(6)');
       const txt = hoursCell ? hoursCell.textContent.trim() : '';
       const n = parseFloat(txt);
       if (!isNaN(n)) sum += n;
-      // stop once we have processed the data-row (which should be the first non-editable row before editable ones)
-      if (node.classList && node.classList.contains('data-row')) break;
+      // any of the day's data-rows gives the employee and date
+      if (node.classList && node.classList.contains('data-row')) dataRow = node;
       node = node.previousElementSibling;
     }
+    // Regular hours for this employee and day come from their work schedule
+    let regular = 8;
+    if (dataRow) {
+      const cells = dataRow.querySelectorAll('td');
+      const dateObj = cells[1] ? parseDisplayDate(cells[1].textContent.trim()) : null;
+      if (dateObj && !isNaN(dateObj.getTime())) regular = regularHoursFor(cells[0] ? cells[0].textContent.trim() : '', dateObj);
+    }
     const totalHoursCell = totalRow.querySelector('.total-hours');
     if (totalHoursCell) {
       const previousTotal = parseFloat(totalHoursCell.textContent)||0;
       totalHoursCell.textContent = sum.toFixed(2);
-      totalHoursCell.classList.remove('equals-eight','over-eight');
-      if (sum===8) totalHoursCell.classList.add('equals-eight');
-      else if (sum>8) {
-        totalHoursCell.classList.add('over-eight');
-        if (previousTotal<=8 && !totalHoursCell.dataset.warned) {
-          showCustomAlert('Employee Regular Work Hours Exceeded','Total hours exceed 8 hours for this day.');
+      totalHoursCell.dataset.regularHours = String(regular);
+      totalHoursCell.classList.remove('equals-regular','over-regular');
+      // compared under the hours comparison policy (Reconcile page)
+      if (hoursEqual(sum, regular)) totalHoursCell.classList.add('equals-regular');
+      else if (sum>regular) {
+        totalHoursCell.classList.add('over-regular');
+        if (previousTotal<=regular && !totalHoursCell.dataset.warned) {
+          showCustomAlert('Employee Regular Work Hours Exceeded',`Total hours exceed the employee's ${regular.toFixed(2)} regular hours for this day.`);
           totalHoursCell.dataset.warned='true';
         }
       } else delete totalHoursCell.dataset.warned;
@@ -1599,21 +4489,21 @@ function copyCatsToClipboard(){ if (!validateAllRows()) { showCustomAlert('Valid
   const table = document.getElementById('catsTable');
   // build HTML and plain text identical to original implementation
   let html = '<table border="1" cellpadding="0" cellspacing="0" style="border-collapse: collapse; font-family: Arial, sans-serif; font-size: 11pt;">';
-  html += '<tr style="height: 20px;"><td colspan="7" style="background-color: #ffffff; font-weight: bold; font-size: 14pt; padding: 2px 4px; border: none; line-height: 1.1;">Modifications to CATs Entries</td></tr>';
-  html += '<tr style="height: 5px;"><td colspan="7" style="border: none; padding: 0;"></td></tr>';
-  html += '<tr style="height: 18px;"><td colspan="7" style="background-color: #ffffff; font-size: 11pt; padding: 2px 4px; border: none; line-height: 1.1;">These are the changes that need to be made in CATs on DRMIS</td></tr>';
-  html += '<tr style="height: 5px;"><td colspan="7" style="border: none; padding: 0;"></td></tr>';
+  html += '<tr style="height: 20px;"><td colspan="8" style="background-color: #ffffff; font-weight: bold; font-size: 14pt; padding: 2px 4px; border: none; line-height: 1.1;">Modifications to CATs Entries</td></tr>';
+  html += '<tr style="height: 5px;"><td colspan="8" style="border: none; padding: 0;"></td></tr>';
+  html += '<tr style="height: 18px;"><td colspan="8" style="background-color: #ffffff; font-size: 11pt; padding: 2px 4px; border: none; line-height: 1.1;">These are the changes that need to be made in CATs on DRMIS</td></tr>';
+  html += '<tr style="height: 5px;"><td colspan="8" style="border: none; padding: 0;"></td></tr>';
   html += '<tr style="height: 20px;">';
   const headers = Array.from(table.querySelectorAll('thead th')).slice(0,-1);
   headers.forEach(th=> html += `<td style="background-color: #d4edda; color: #000000; font-weight: bold; padding: 2px 4px; border: 1px solid #000000; line-height: 1.1;">${th.textContent}</td>`);
   html += '</tr>';
-  const rows = table.querySelectorAll('tbody tr');
+  const rows = catsTableRows(table);
   rows.forEach(row=>{
     const cells = Array.from(row.querySelectorAll('td')).slice(0,-1);
     html += '<tr style="height: 18px;">';
     cells.forEach((td, idx)=>{ let cellValue=''; if (idx===3) { const select = (td.querySelector('.act-input') || td.querySelector('.act-select')); cellValue = select ? (select.value !== undefined ? String(select.value).trim() : td.textContent) : td.textContent; } else cellValue = td.textContent; if (idx===5 && cellValue !== '' && cellValue !== 'Total Hours') { const hours = parseFloat(cellValue); if (!isNaN(hours) && hours !== 0) cellValue = hours.toFixed(2); }
       let cellStyle = 'padding: 2px 4px; border: 1px solid #000000; line-height: 1.1;';
-      if (row.classList.contains('total-row')) { cellStyle += ' background-color: #f0f0f0; font-weight: bold; border-bottom: 3px solid #284162;'; if (idx===5) { const hours = parseFloat(cellValue); if (!isNaN(hours)) { if (hours===8) cellStyle += ' color: #008000;'; else if (hours>8) cellStyle += ' color: #FF0000;'; } } } else { cellStyle += ' background-color: #ffffff;'; }
+      if (row.classList.contains('total-row')) { cellStyle += ' background-color: #f0f0f0; font-weight: bold; border-bottom: 3px solid #284162;'; if (idx===5) { if (td.classList.contains('equals-regular')) cellStyle += ' color: #008000;'; else if (td.classList.contains('over-regular')) cellStyle += ' color: #FF0000;'; } } else { cellStyle += ' background-color: #ffffff;'; }
       html += `<td style="${cellStyle}">${cellValue}</td>`;
     });
     html += '</tr>';
@@ -1633,21 +4523,21 @@ function downloadCatsEditsExcelFormatted(){
   if (!table) { alert('No CATs table found'); return; }
   // Reuse the same HTML generation as copyCatsToClipboard but produce a downloadable .xls file
   let html = '<table border="1" cellpadding="0" cellspacing="0" style="border-collapse: collapse; font-family: Arial, sans-serif; font-size: 11pt;">';
-  html += '<tr style="height: 20px;"><td colspan="7" style="background-color: #ffffff; font-weight: bold; font-size: 14pt; padding: 2px 4px; border: none; line-height: 1.1;">Modifications to CATs Entries</td></tr>';
-  html += '<tr style="height: 5px;"><td colspan="7" style="border: none; padding: 0;"></td></tr>';
-  html += '<tr style="height: 18px;"><td colspan="7" style="background-color: #ffffff; font-size: 11pt; padding: 2px 4px; border: none; line-height: 1.1;">These are the changes that need to be made in CATs on DRMIS</td></tr>';
-  html += '<tr style="height: 5px;"><td colspan="7" style="border: none; padding: 0;"></td></tr>';
+  html += '<tr style="height: 20px;"><td colspan="8" style="background-color: #ffffff; font-weight: bold; font-size: 14pt; padding: 2px 4px; border: none; line-height: 1.1;">Modifications to CATs Entries</td></tr>';
+  html += '<tr style="height: 5px;"><td colspan="8" style="border: none; padding: 0;"></td></tr>';
+  html += '<tr style="height: 18px;"><td colspan="8" style="background-color: #ffffff; font-size: 11pt; padding: 2px 4px; border: none; line-height: 1.1;">These are the changes that need to be made in CATs on DRMIS</td></tr>';
+  html += '<tr style="height: 5px;"><td colspan="8" style="border: none; padding: 0;"></td></tr>';
   html += '<tr style="height: 20px;">';
   const headers = Array.from(table.querySelectorAll('thead th')).slice(0,-1);
   headers.forEach(th=> html += `<td style="background-color: #d4edda; color: #000000; font-weight: bold; padding: 2px 4px; border: 1px solid #000000; line-height: 1.1;">${th.textContent}</td>`);
   html += '</tr>';
-  const rows = table.querySelectorAll('tbody tr');
+  const rows = catsTableRows(table);
   rows.forEach(row=>{
     const cells = Array.from(row.querySelectorAll('td')).slice(0,-1);
     html += '<tr style="height: 18px;">';
     cells.forEach((td, idx)=>{ let cellValue=''; if (idx===3) { const select = (td.querySelector('.act-input') || td.querySelector('.act-select')); cellValue = select ? (select.value !== undefined ? String(select.value).trim() : td.textContent) : td.textContent; } else cellValue = td.textContent; if (idx===5 && cellValue !== '' && cellValue !== 'Total Hours') { const hours = parseFloat(cellValue); if (!isNaN(hours) && hours !== 0) cellValue = hours.toFixed(2); }
       let cellStyle = 'padding: 2px 4px; border: 1px solid #000000; line-height: 1.1;';
-      if (row.classList.contains('total-row')) { cellStyle += ' background-color: #f0f0f0; font-weight: bold; border-bottom: 3px solid #284162;'; if (idx===5) { const hours = parseFloat(cellValue); if (!isNaN(hours)) { if (hours===8) cellStyle += ' color: #008000;'; else if (hours>8) cellStyle += ' color: #FF0000;'; } } } else { cellStyle += ' background-color: #ffffff;'; }
+      if (row.classList.contains('total-row')) { cellStyle += ' background-color: #f0f0f0; font-weight: bold; border-bottom: 3px solid #284162;'; if (idx===5) { if (td.classList.contains('equals-regular')) cellStyle += ' color: #008000;'; else if (td.classList.contains('over-regular')) cellStyle += ' color: #FF0000;'; } } else { cellStyle += ' background-color: #ffffff;'; }
       html += `<td style="${cellStyle}">${cellValue}</td>`;
     });
     html += '</tr>';
@@ -1656,20 +4546,69 @@ function downloadCatsEditsExcelFormatted(){
 
   const blob = new Blob([html], {type: 'application/vnd.ms-excel'});
   const url = URL.createObjectURL(blob);
-  const a = document.createElement('a'); a.href = url; a.download = `CATs_Edits_${(new Date()).toISOString().split('T')[0]}.xls`; document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
+  const a = document.createElement('a'); a.href = url; a.download = `CATs_Edits_${todayKey()}.xls`; document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
 }
 
-function emailCatsTable(){ if (!validateAllRows()) { showCustomAlert('Validation Required','Please fill in AA Code and Hours for all added rows before emailing.'); return; } const table = document.getElementById('catsTable'); let persNo=''; const rows = table.querySelectorAll('tbody tr'); for (let row of rows){ const cells = row.querySelectorAll('td'); if (cells[0] && cells[0].textContent.trim()!=='') { persNo = cells[0].textContent.trim(); break; }}
+function emailCatsTable(){ if (!validateAllRows()) { showCustomAlert('Validation Required','Please fill in AA Code and Hours for all added rows before emailing.'); return; } const table = document.getElementById('catsTable'); const rows = catsTableRows(table); const persNos = []; for (let row of rows){ const cells = row.querySelectorAll('td'); const p = cells[0] ? cells[0].textContent.trim() : ''; if (p!=='' && !persNos.includes(p)) persNos.push(p); } const persNo = persNos.join(', ');
   // Build html body
   let html = '<table border="1" cellpadding="0" cellspacing="0" style="border-collapse: collapse; font-family: Arial, sans-serif; font-size: 11pt;">';
   html += '<tr style="height: 20px;">'; const headers = Array.from(table.querySelectorAll('thead th')).slice(0,-1); headers.forEach(th=> html += `<td style="background-color: #d4edda; color: #000000; font-weight: bold; padding: 2px 4px; border: 1px solid #000000; line-height: 1.1;">${th.textContent}</td>`); html += '</tr>';
   rows.forEach(row=>{ const cells = Array.from(row.querySelectorAll('td')).slice(0,-1); html += '<tr style="height: 18px;">'; cells.forEach((td,idx)=>{ let cellValue = (idx===3 ? ((td.querySelector('.act-input') || td.querySelector('.act-select')) ? ((td.querySelector('.act-input') || td.querySelector('.act-select')).value !== undefined ? String((td.querySelector('.act-input') || td.querySelector('.act-select')).value).trim() : td.textContent) : td.textContent) : td.textContent); if (idx===5 && cellValue && cellValue.trim()!=='') { const hv = parseFloat(cellValue); if (!isNaN(hv)) cellValue = hv===0 ? '0' : hv.toFixed(2); if (row.classList.contains('total-row')) { if (hv===8) {} else if (hv>8) {} } } let cellStyle = 'padding:2px 4px; border:1px solid #000000; line-height:1.1;'; if (row.classList.contains('total-row')) cellStyle += ' background-color:#f0f0f0; font-weight:bold; border-bottom:3px solid #000000;'; html += `<td style="${cellStyle}">${cellValue}</td>`; }); html += '</tr>'; }); html += '</table>';
-  const emailText = `Good Day,\n\nI have just audited an employee's leave and found the following discrepancies that need to be updated in DRMIS.\n\nEmployee Number: ${persNo}\n\n`;
+  const emailText = `Good Day,\n\nI have just audited ${persNos.length > 1 ? 'employee' : 'an employee\'s'} leave and found the following discrepancies that need to be updated in DRMIS.\n\nEmployee Number${persNos.length > 1 ? 's' : ''}: ${persNo}\n\n`;
   const plainText = emailText + headers.map(h=>h.textContent).join('\t') + '\n' + Array.from(rows).map(r=> Array.from(r.querySelectorAll('td')).slice(0,-1).map((td,idx)=> idx===3 ? ((td.querySelector('.act-input') || td.querySelector('.act-select')) ? ((td.querySelector('.act-input') || td.querySelector('.act-select')).value !== undefined ? String((td.querySelector('.act-input') || td.querySelector('.act-select')).value).trim() : td.textContent) : td.textContent) : td.textContent).join('\t')).join('\n') + '\n\nThanks';
-  const fullHtmlBody = `<p>Good Day,</p><p>I have just audited an employee's leave and found the following discrepancies that need to be updated in DRMIS.</p><p>Employee Number: ${persNo}</p><br>${html}<br><p>Thanks</p>`;
+  const fullHtmlBody = `<p>Good Day,</p><p>I have just audited ${persNos.length > 1 ? 'employee' : 'an employee\'s'} leave and found the following discrepancies that need to be updated in DRMIS.</p><p>Employee Number${persNos.length > 1 ? 's' : ''}: ${persNo}</p><br>${html}<br><p>Thanks</p>`;
   const htmlBlob = new Blob([fullHtmlBody], {type:'text/html'}); const txtBlob = new Blob([plainText], {type:'text/plain'});
   const item = new ClipboardItem({'text/html': htmlBlob, 'text/plain': txtBlob});
-  navigator.clipboard.write([item]).then(()=>{ const subject = encodeURIComponent(`DRMIS Leave Discrepancies - Employee ${persNo}`); showCustomAlert('Email Content Copied','The email content with the table has been copied to your clipboard. Click OK to open your email client, then paste (CTRL + V) the content into the message body.', ()=> { window.location.href = `mailto:?subject=${subject}`; }); }).catch(err=>{ navigator.clipboard.writeText(plainText).then(()=>{ const subject = encodeURIComponent(`DRMIS Leave Discrepancies - Employee ${persNo}`); showCustomAlert('Email Content Copied','The email content has been copied as plain text. Click OK to open your email client, then paste (CTRL + V) the content into the message body.', ()=> { window.location.href = `mailto:?subject=${subject}`; }); }).catch(e=> showCustomAlert('Copy Failed','Failed to copy: ' + e)); });
+  navigator.clipboard.write([item]).then(()=>{ const subject = encodeURIComponent(`DRMIS Leave Discrepancies - Employee${persNos.length > 1 ? 's' : ''} ${persNo}`); showCustomAlert('Email Content Copied','The email content with the table has been copied to your clipboard. Click OK to open your email client, then paste (CTRL + V) the content into the message body.', ()=> { window.location.href = `mailto:?subject=${subject}`; }); }).catch(err=>{ navigator.clipboard.writeText(plainText).then(()=>{ const subject = encodeURIComponent(`DRMIS Leave Discrepancies - Employee${persNos.length > 1 ? 's' : ''} ${persNo}`); showCustomAlert('Email Content Copied','The email content has been copied as plain text. Click OK to open your email client, then paste (CTRL + V) the content into the message body.', ()=> { window.location.href = `mailto:?subject=${subject}`; }); }).catch(e=> showCustomAlert('Copy Failed','Failed to copy: ' + e)); });
+}
+
+// Copy of an exported table with a description column after each leave code column
+// ('Oracle Leave Code' is followed by 'Oracle Leave Description')
+function withLeaveDescriptions(headers, rows) {
+  const codeColumns = headers.map((h, i) => /leave code$/i.test(String(h)) ? i : -1).filter(i => i >= 0);
+  const expand = (row, describe) => row.reduce((out, cell, i) => { out.push(cell); if (codeColumns.includes(i)) out.push(describe(cell)); return out; }, []);
+  return {
+    headers: expand(headers, h => String(h).replace(/code$/i, 'Description')),
+    rows: rows.map(row => expand(row, cell => leaveCodeDescription(cell)))
+  };
+}
+
+// Letter of the last column of a table with columnCount columns (title rows are merged across it)
+function tableLastColumn(columnCount) {
+  return String.fromCharCode(64 + Math.max(1, Math.min(26, columnCount)));
+}
+
+// Add a worksheet holding a plain table (title row, styled header row, bordered data rows) to an ExcelJS workbook.
+// Columns whose header mentions hours are written as numbers.
+function addTableSheet(wb, name, title, headers, rows) {
+  const ws = wb.addWorksheet(name);
+  const lastCol = tableLastColumn(headers.length);
+  ws.mergeCells(`A1:${lastCol}1`); ws.getCell('A1').value = title; ws.getCell('A1').font = {name:'Calibri', size:14, bold:true}; ws.getCell('A1').alignment = {horizontal:'center', vertical:'middle'}; ws.getRow(1).height = 20;
+  const headerRowIndex = 3;
+  const headerRow = ws.getRow(headerRowIndex);
+  headers.forEach((h,i)=>{
+    const cell = headerRow.getCell(i+1);
+    cell.value = h;
+    cell.font = {name:'Calibri', bold:true};
+    cell.fill = {type:'pattern', pattern:'solid', fgColor:{argb:'FFD4EDDA'}};
+    cell.border = {top:{style:'thin'}, left:{style:'thin'}, bottom:{style:'thin'}, right:{style:'thin'}};
+    cell.alignment = {vertical:'middle', horizontal:'center'};
+  });
+  ws.columns = headers.map(h => ({ key: h, width: Math.max(10, Math.min(40, String(h).length + 6)) }));
+  rows.forEach((rowArr, rIdx) => {
+    const row = ws.getRow(headerRowIndex + 1 + rIdx);
+    rowArr.forEach((val, idx) => {
+      const cell = row.getCell(idx+1);
+      if (/hours/i.test(headers[idx]) && val !== '' && val !== null && !isNaN(Number(val))) {
+        cell.value = Number(val); cell.numFmt = '0.00'; cell.alignment = {horizontal:'right'};
+      } else {
+        cell.value = (val === null || val === undefined) ? '' : val;
+      }
+      cell.border = {top:{style:'thin'}, left:{style:'thin'}, bottom:{style:'thin'}, right:{style:'thin'}};
+    });
+  });
+  ws.autoFilter = { from: { row: headerRowIndex, column: 1 }, to: { row: headerRowIndex, column: headers.length } };
+  return ws;
 }
 
 // Export the current Reconciliation results table (live DOM) as a styled .xlsx using ExcelJS
@@ -1682,28 +4621,42 @@ async function downloadReconciliationXlsxExcelJS(){
   // Collect header names (skip the first checkbox column)
   const thead = table.querySelector('thead');
   const headerThs = thead ? Array.from(thead.querySelectorAll('th')) : [];
-  const headers = headerThs.slice(1).map(th => th.textContent.trim());
+  const tableHeaders = headerThs.slice(1).map(th => th.textContent.trim());
 
-  // Build live rows, skipping any select-all row (which contains #selectAllCats)
-  const rows = Array.from(tbody.querySelectorAll('tr')).filter(tr => !tr.querySelector('#selectAllCats'));
+  // Build live rows, skipping any select-all row (which contains #selectAllCats) and employee group headings
+  const rows = Array.from(tbody.querySelectorAll('tr')).filter(tr => !tr.querySelector('#selectAllCats') && !tr.classList.contains('employee-group-row'));
   if (rows.length === 0) { alert('No mismatch rows to export'); return; }
-  const liveData = rows.map(tr => {
+  const tableData = rows.map(tr => {
     const cells = Array.from(tr.querySelectorAll('td'));
     // skip first cell (checkbox)
     const dataCells = cells.slice(1);
     return dataCells.map(td => td.textContent.trim());
   });
+  // leave code descriptions go next to the codes
+  const { headers, rows: liveData } = withLeaveDescriptions(tableHeaders, tableData);
 
   if (typeof ExcelJS === 'undefined') { alert('ExcelJS not available'); return; }
   const wb = new ExcelJS.Workbook(); wb.creator='Leave Reconcile'; wb.created = new Date();
   const ws = wb.addWorksheet('Reconciliation');
 
-  // Title row
-  ws.mergeCells('A1:F1'); ws.getCell('A1').value = 'Reconciliation Results'; ws.getCell('A1').font = {name:'Calibri', size:14, bold:true}; ws.getCell('A1').alignment = {horizontal:'center', vertical:'middle'}; ws.getRow(1).height = 20;
-  // Subtitle row
-  ws.mergeCells('A2:F2'); ws.getCell('A2').value = `Generated: ${(new Date()).toLocaleString()}`; ws.getCell('A2').font = {name:'Calibri', size:10}; ws.getCell('A2').alignment = {horizontal:'left', vertical:'middle'};
+  // Title row and one line per run setting above the table, merged across the table's columns
+  const lastCol = tableLastColumn(headers.length);
+  ws.mergeCells(`A1:${lastCol}1`); ws.getCell('A1').value = 'Reconciliation Results'; ws.getCell('A1').font = {name:'Calibri', size:14, bold:true}; ws.getCell('A1').alignment = {horizontal:'center', vertical:'middle'}; ws.getRow(1).height = 20;
+  const metadataLine = (rowNumber, text) => {
+    ws.mergeCells(`A${rowNumber}:${lastCol}${rowNumber}`);
+    const cell = ws.getCell(`A${rowNumber}`);
+    cell.value = text; cell.font = {name:'Calibri', size:10}; cell.alignment = {horizontal:'left', vertical:'middle'};
+  };
+  const run = window.resultData || {};
+  metadataLine(2, `Generated: ${(new Date()).toLocaleString()}`);
+  // settings used for the reconciliation run (fall back to the current ones)
+  metadataLine(3, `Holiday calendar: ${run.holidayCalendar || describeHolidayCalendar()}`);
+  metadataLine(4, `Hours comparison: ${run.hoursPolicy || describeHoursPolicy()}`);
+  metadataLine(5, `Period: ${run.period || describeReconciliationPeriod()}`);
+  // date format each source file was read with
+  metadataLine(6, `Date formats: ${(run.dateFormats || []).map(f => `${f.source} — ${f.description}`).join(' | ') || 'Not recorded'}`);
 
-  const headerRowIndex = 4;
+  const headerRowIndex = 7;
   const headerRow = ws.getRow(headerRowIndex);
   headers.forEach((h,i)=>{
     const cell = headerRow.getCell(i+1);
@@ -1741,11 +4694,35 @@ async function downloadReconciliationXlsxExcelJS(){
   // Autofilter
   ws.autoFilter = { from: { row: headerRowIndex, column: 1 }, to: { row: headerRowIndex, column: headers.length } };
 
+  // Full ledger (every line, matched or not) with its status
+  const ledger = window.resultData && window.resultData.ledger;
+  if (ledger && ledger.data && ledger.data.length) { const described = withLeaveDescriptions(ledger.headers, ledger.data); addTableSheet(wb, 'Ledger', 'Reconciliation Ledger', described.headers, described.rows); }
+  // Hours per leave code and month in each system
+  const usage = window.resultData && window.resultData.usage;
+  if (usage && usage.data && usage.data.length) addTableSheet(wb, 'Leave Usage', 'Leave Usage by Code and Month', usage.headers, usage.data);
+  // Hours cells that could not be read and were counted as 0 h
+  const hoursIssues = window.resultData && window.resultData.hoursIssues;
+  if (hoursIssues && hoursIssues.length) addTableSheet(wb, 'Unreadable Hours', 'Hours Values That Could Not Be Read (counted as 0 h)', ['Source', 'Sheet Row', 'Date', 'Leave Code', 'Value'], hoursIssues.map(x => [x.source, x.row, x.date, x.code, x.value]));
+  // Leave on non-working days and days over the standard hours, one category per anomaly
+  const anomalies = window.resultData && window.resultData.anomalies;
+  if (anomalies && anomalies.data && anomalies.data.length) addTableSheet(wb, 'Anomalies', 'Leave Anomalies', anomalies.headers, anomalies.data);
+  // Filter rules in force for the run, with the number of rows each one dropped
+  const rules = (window.resultData && window.resultData.filterRules) || filterRules.map(rule => ({ rule: describeFilterRule(rule), note: rule.note, dropped: '' }));
+  addTableSheet(wb, 'Filter Rules', 'Exclusion Filter Rules', ['Rule', 'Note', 'Rows dropped'], rules.map(r => [r.rule, r.note, r.dropped]));
+  // Every source row left out of the reconciliation, and the leave codes missing from the catalogue
+  const excluded = window.resultData && window.resultData.excluded;
+  if (excluded && excluded.length) {
+    addTableSheet(wb, 'Excluded Rows', 'Excluded Source Rows', ['Source', 'Sheet Row', 'Date', 'Leave Code', 'Description', 'Hours', 'Reason'],
+      excluded.map(x => [x.source, x.row, x.date, x.code, x.description, Number(x.hours) || 0, x.reason]));
+    const unknown = window.resultData.unknownCodes || summarizeUnknownCodes(excluded);
+    if (unknown.length) addTableSheet(wb, 'Unknown Codes', 'Leave Codes Not In The Catalogue', ['Source', 'Leave Code', 'Description', 'Rows', 'Hours'], unknown.map(u => [u.source, u.code, u.description, u.rows, u.hours]));
+  }
+
   try {
     const buffer = await wb.xlsx.writeBuffer();
     const blob = new Blob([buffer], {type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'});
     const url = URL.createObjectURL(blob);
-    const a = document.createElement('a'); a.href = url; a.download = `Reconciliation_${(new Date()).toISOString().split('T')[0]}.xlsx`; document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
+    const a = document.createElement('a'); a.href = url; a.download = `Reconciliation_${todayKey()}.xlsx`; document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
   } catch (e) {
     console.error('Export failed', e); alert('Export failed: ' + e.message);
   }